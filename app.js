@@ -1,3 +1,277 @@
+// ============================================================================
+// SLEEP STORE - INDEXEDDB STORAGE LAYER
+// ============================================================================
+
+class SleepStore {
+    constructor(upgradeEntry, schemaVersion) {
+        // upgradeEntry brings one stored entry up to schemaVersion
+        this.upgradeEntry = upgradeEntry;
+        this.schemaVersion = schemaVersion;
+        this.dbName = 'sleepSystem';
+        this.db = null;
+        this.profileId = 'default'; // household profile whose entries the API reads and writes
+    }
+
+    setProfile(profileId) {
+        this.profileId = profileId;
+    }
+
+    open() {
+        if (this.db) return this.db;
+        
+        this.db = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 3);
+            
+            // Database structure; the entry shape is versioned separately in meta
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                const createEntries = () => {
+                    const entries = db.createObjectStore('entries', { keyPath: ['profileId', 'date'] });
+                    entries.createIndex('month', ['profileId', 'month']);
+                    return entries;
+                };
+                
+                if (event.oldVersion < 1) {
+                    db.createObjectStore('meta', { keyPath: 'key' });
+                    createEntries();
+                } else if (event.oldVersion < 2) {
+                    // Version 2: entries keyed by household profile and date
+                    const old = request.transaction.objectStore('entries').getAll();
+                    old.onsuccess = () => {
+                        db.deleteObjectStore('entries');
+                        const entries = createEntries();
+                        old.result.forEach(record => entries.put({ ...record, profileId: 'default' }));
+                    };
+                }
+                
+                // Version 3: deleted entries wait in the trash; every change is kept in history
+                if (event.oldVersion < 3) {
+                    db.createObjectStore('trash', { keyPath: ['profileId', 'date'] });
+                    const history = db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+                    history.createIndex('date', ['profileId', 'date']);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Sleep System database is open in another tab with an older version'));
+        });
+        
+        return this.db;
+    }
+
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+        
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+            Promise.resolve(work(tx)).then(value => result = value, reject);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    request(idbRequest) {
+        return new Promise((resolve, reject) => {
+            idbRequest.onsuccess = () => resolve(idbRequest.result);
+            idbRequest.onerror = () => reject(idbRequest.error);
+        });
+    }
+
+    toRecord(entry, profileId = this.profileId) {
+        // The month key backs the month index used for calendar views
+        return { ...entry, profileId, month: entry.date.slice(0, 7) };
+    }
+
+    fromRecord(record) {
+        const entry = { ...record };
+        delete entry.profileId;
+        delete entry.month;
+        return entry;
+    }
+
+    profileRange(profileId, start = '', end = '\uffff') {
+        return IDBKeyRange.bound([profileId, start], [profileId, end]);
+    }
+
+    // ------------------------------------------------------------------------
+    // Entries (keyed by profile and date, so key order is date order)
+    // ------------------------------------------------------------------------
+
+    async getAll(profileId = this.profileId) {
+        const records = await this.transaction('entries', 'readonly', tx =>
+            this.request(tx.objectStore('entries').getAll(this.profileRange(profileId))));
+        return records.map(record => this.fromRecord(record));
+    }
+
+    async getRange(start, end, profileId = this.profileId) {
+        const records = await this.transaction('entries', 'readonly', tx =>
+            this.request(tx.objectStore('entries').getAll(this.profileRange(profileId, start, end))));
+        return records.map(record => this.fromRecord(record));
+    }
+
+    async getMonth(month, profileId = this.profileId) {
+        const records = await this.transaction('entries', 'readonly', tx =>
+            this.request(tx.objectStore('entries').index('month').getAll([profileId, month])));
+        return records.map(record => this.fromRecord(record));
+    }
+
+    async get(date) {
+        const record = await this.transaction('entries', 'readonly', tx =>
+            this.request(tx.objectStore('entries').get([this.profileId, date])));
+        return record ? this.fromRecord(record) : undefined;
+    }
+
+    put(entry) {
+        return this.putMany([entry]);
+    }
+
+    putMany(entries) {
+        return this.transaction('entries', 'readwrite', tx => {
+            const store = tx.objectStore('entries');
+            entries.forEach(entry => store.put(this.toRecord(entry)));
+        });
+    }
+
+    delete(date) {
+        return this.transaction('entries', 'readwrite', tx => {
+            tx.objectStore('entries').delete([this.profileId, date]);
+        });
+    }
+
+    clear(profileId = this.profileId) {
+        // Only the given profile's entries
+        return this.transaction('entries', 'readwrite', tx => {
+            tx.objectStore('entries').delete(this.profileRange(profileId));
+        });
+    }
+
+    replaceAll(entries) {
+        // Clear and write in one transaction so a failure keeps the old entries
+        return this.transaction('entries', 'readwrite', tx => {
+            const store = tx.objectStore('entries');
+            store.delete(this.profileRange(this.profileId));
+            entries.forEach(entry => store.put(this.toRecord(entry)));
+        });
+    }
+
+    clearProfile(profileId = this.profileId) {
+        // Entries, trash and history of one profile
+        return this.transaction(['entries', 'trash', 'history'], 'readwrite', async tx => {
+            tx.objectStore('entries').delete(this.profileRange(profileId));
+            tx.objectStore('trash').delete(this.profileRange(profileId));
+            const history = tx.objectStore('history');
+            const ids = await this.request(history.index('date').getAllKeys(this.profileRange(profileId)));
+            ids.forEach(id => history.delete(id));
+        });
+    }
+
+    // ------------------------------------------------------------------------
+    // Trash (deleted entries, keyed like entries)
+    // ------------------------------------------------------------------------
+
+    moveToTrash(dates) {
+        return this.transaction(['entries', 'trash'], 'readwrite', async tx => {
+            const entries = tx.objectStore('entries');
+            const deletedAt = new Date().toISOString();
+            for (const date of dates) {
+                const record = await this.request(entries.get([this.profileId, date]));
+                if (!record) continue;
+                
+                entries.delete([this.profileId, date]);
+                tx.objectStore('trash').put({ profileId: this.profileId, date, deletedAt, entry: this.fromRecord(record) });
+            }
+        });
+    }
+
+    getTrash() {
+        return this.transaction('trash', 'readonly', tx =>
+            this.request(tx.objectStore('trash').getAll(this.profileRange(this.profileId))));
+    }
+
+    getTrashItem(date) {
+        return this.transaction('trash', 'readonly', tx =>
+            this.request(tx.objectStore('trash').get([this.profileId, date])));
+    }
+
+    deleteFromTrash(date) {
+        return this.transaction('trash', 'readwrite', tx => {
+            tx.objectStore('trash').delete([this.profileId, date]);
+        });
+    }
+
+    purgeTrash(deletedBefore) {
+        // Runs across all profiles
+        return this.transaction('trash', 'readwrite', async tx => {
+            const store = tx.objectStore('trash');
+            const records = await this.request(store.getAll());
+            records.filter(record => record.deletedAt < deletedBefore)
+                .forEach(record => store.delete([record.profileId, record.date]));
+        });
+    }
+
+    // ------------------------------------------------------------------------
+    // History (one record per change of a date: the entry before and after)
+    // ------------------------------------------------------------------------
+
+    addHistory(records, keepPerDate = 20) {
+        return this.transaction('history', 'readwrite', async tx => {
+            const store = tx.objectStore('history');
+            for (const record of records) {
+                store.add({ ...record, profileId: this.profileId });
+                
+                const ids = await this.request(store.index('date').getAllKeys([this.profileId, record.date]));
+                ids.slice(0, Math.max(0, ids.length - keepPerDate)).forEach(id => store.delete(id));
+            }
+        });
+    }
+
+    async getHistory(date) {
+        const records = await this.transaction('history', 'readonly', tx =>
+            this.request(tx.objectStore('history').index('date').getAll([this.profileId, date])));
+        return records.reverse();
+    }
+
+    // ------------------------------------------------------------------------
+    // Metadata and migrations
+    // ------------------------------------------------------------------------
+
+    async getMeta(key) {
+        const record = await this.transaction('meta', 'readonly', tx =>
+            this.request(tx.objectStore('meta').get(key)));
+        return record ? record.value : undefined;
+    }
+
+    setMeta(key, value) {
+        return this.transaction('meta', 'readwrite', tx => {
+            tx.objectStore('meta').put({ key, value });
+        });
+    }
+
+    async migrate() {
+        const version = (await this.getMeta('schemaVersion')) || 0;
+        if (version >= this.schemaVersion) return;
+        
+        // One-time import of the old single localStorage blob
+        if (version === 0) {
+            const legacy = localStorage.getItem('sleepSystemData');
+            if (legacy) {
+                await this.putMany(JSON.parse(legacy).map(entry => this.upgradeEntry(entry)));
+                localStorage.removeItem('sleepSystemData');
+            }
+        }
+        
+        // Bring every stored entry, in every profile, up to the current entry schema
+        await this.transaction('entries', 'readwrite', async tx => {
+            const store = tx.objectStore('entries');
+            const records = await this.request(store.getAll());
+            records.forEach(record => store.put(this.toRecord(this.upgradeEntry(this.fromRecord(record)), record.profileId)));
+        });
+        await this.setMeta('schemaVersion', this.schemaVersion);
+    }
+}
+
 // ============================================================================
 // SLEEP SYSTEM - PRODUCTION IMPLEMENTATION
 // ============================================================================
@@ -5,12 +279,31 @@
 class SleepSystem {
     constructor() {
         this.currentEntry = this.getEmptyEntry();
-        this.init();
+        this.pendingImport = null;
+        this.pendingCsv = null;
+        this.pendingWearable = null;
+        this.syncConflicts = [];
+        this.syncing = false;
+        this.historyRecords = [];
+        this.undoTimer = null;
+        this.pendingMeqScore = null;
+        this.showMissingFields = false;
+        this.planMode = false;
+        this.dailyFormTimer = null;
+        this.serviceWorker = null;
+        this.reloadOnControllerChange = false;
+        this.compareProfileId = null;
+        this.selectedTripId = null;
+        this.travelCache = null;
+        this.reminderTimers = [];
+        this.store = new SleepStore(entry => this.upgradeEntry(entry), this.getEntryMigrations().length);
+        this.store.setProfile(this.getActiveProfileId());
+        this.init().catch(err => alert(`Failed to open sleep data: ${err.message}`));
     }
 
-    init() {
-        // Set today's date
-        document.getElementById('entryDate').valueAsDate = new Date();
+    async init() {
+        // Set today's date (local, not UTC)
+        document.getElementById('entryDate').value = this.getLocalDateString(new Date());
         
         // Tab switching
         document.querySelectorAll('.tab').forEach(tab => {
@@ -18,25 +311,136 @@ class SleepSystem {
         });
 
         // Update sleep info on time change
-        document.getElementById('bedtime').addEventListener('change', () => this.updateSleepInfo());
-        document.getElementById('waketime').addEventListener('change', () => this.updateSleepInfo());
+        ['bedtime', 'lightsOut', 'waketime', 'outOfBed', 'sleepLatency', 'awakenings', 'awakeMinutes'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateSleepInfo());
+        });
 
+        // Once a burst of changes to the daily form settles, re-validate it
+        // inline and re-predict the plan; the plan's own inputs only do the latter
+        let entryChanged = false;
+        document.getElementById('daily').addEventListener('change', (e) => {
+            entryChanged = entryChanged || !e.target.closest('#planPanel');
+            clearTimeout(this.dailyFormTimer);
+            this.dailyFormTimer = setTimeout(() => {
+                if (entryChanged) this.validateEntryForm();
+                entryChanged = false;
+                if (this.planMode) this.updatePlan();
+            }, 200);
+        });
+        
+        // JSON import
+        document.getElementById('importFile').addEventListener('change', (e) => this.handleImportFile(e.target));
+        document.getElementById('wearableFile').addEventListener('change', (e) => this.handleWearableFile(e.target).catch(err => this.reportError(err)));
+        document.getElementById('backupFile').addEventListener('change', (e) => this.handleBackupFile(e.target).catch(err => this.reportError(err)));
+        document.getElementById('backupInterval').addEventListener('change', () => this.saveBackupInterval());
+        document.getElementById('importMode').addEventListener('change', () => this.renderImportPreview().catch(err => this.reportError(err)));
+        
+        // Entry history and the zone hint follow the selected date
+        document.getElementById('entryDate').addEventListener('change', () => {
+            if (document.getElementById('historyPanel').style.display !== 'none') this.renderEntryHistory().catch(err => this.reportError(err));
+            this.updateEntryZoneHint();
+        });
+        this.renderTimeZoneList();
+        this.updateEntryZoneHint();
+        
+        // Report period
+        const today = this.getLocalDateString(new Date());
+        document.getElementById('reportWeek').value = this.getIsoWeek(today);
+        document.getElementById('reportMonth').value = today.slice(0, 7);
+        ['reportPeriod', 'reportWeek', 'reportMonth', 'reportFrom', 'reportTo'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.generateWeeklyReport().catch(err => this.reportError(err)));
+        });
+        
+        // Trend charts
+        ['trendRange', 'trendFrom', 'trendTo'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.renderTrendCharts().catch(err => this.reportError(err)));
+        });
+        const trends = document.getElementById('trendCharts');
+        trends.addEventListener('mouseover', (e) => this.showTrendTooltip(e).catch(err => this.reportError(err)));
+        trends.addEventListener('mouseleave', () => document.getElementById('trendTooltip').style.display = 'none');
+        trends.addEventListener('click', (e) => this.openTrendEntry(e));
+        
+        // History calendar
+        this.renderCalendarFilters();
+        document.getElementById('calendarView').addEventListener('change', () => this.renderCalendar().catch(err => this.reportError(err)));
+        document.getElementById('calendarMonth').addEventListener('change', () => this.renderCalendar().catch(err => this.reportError(err)));
+        document.getElementById('calendarGrid').addEventListener('click', (e) => this.openCalendarDay(e));
+        
+        // Household profiles
+        this.renderHousehold();
+        document.getElementById('profileSwitcher').addEventListener('change', (e) => this.switchProfile(e.target.value).catch(err => this.reportError(err)));
+        document.getElementById('compareProfile').addEventListener('change', (e) => this.selectComparisonProfile(e.target.value).catch(err => this.reportError(err)));
+        
+        // Sleep profile settings
+        document.getElementById('profileSex').addEventListener('change', (e) => {
+            if (e.target.value !== 'custom') {
+                document.getElementById('profileWidmarkFactor').value = this.getWidmarkFactor({ sex: e.target.value });
+            }
+        });
+        this.renderChronotypeQuestionnaire();
+        this.loadProfileSettings();
+        this.renderRuleSettings();
+        
+        // Reminders
+        this.registerServiceWorker();
+        this.renderReminderSettings();
+        this.scheduleReminders();
+        
+        // Move stored data to the current schema before anything reads it
+        await this.store.migrate();
+        
+        // Deleted entries are kept for a while, then purged
+        const retention = this.getTrashRetentionDays() * 24 * 60 * 60 * 1000;
+        await this.store.purgeTrash(new Date(Date.now() - retention).toISOString());
+        await this.renderTrash();
+        
         // Load header stats
-        this.updateHeaderStats();
+        await this.updateHeaderStats();
         
         // Load data summary
-        this.updateDataSummary();
+        await this.updateDataSummary();
+        
+        // Backup reminder
+        this.renderBackupStatus();
+        await this.checkBackupDue();
+        
+        // Sync
+        this.renderSyncSettings();
+        if (this.getSyncSettings().auto) this.syncNow(true).catch(err => this.reportError(err));
+        
+        // Installed app starts on ?tab=daily
+        const params = new URLSearchParams(location.search);
+        const tab = params.get('tab');
+        if (tab && document.querySelector(`.tab[data-tab="${CSS.escape(tab)}"]`)) {
+            this.switchTab(tab);
+        }
+        
+        // Opened from a reminder's Snooze button while the app was closed
+        const snooze = params.get('snooze');
+        if (snooze && this.getReminderDefinitions().some(definition => definition.id === snooze)) {
+            this.snoozeReminder(snooze);
+        }
     }
 
     getEmptyEntry() {
         return {
+            schemaVersion: this.getEntryMigrations().length,
             date: '',
             bedtime: '',
+            lightsOut: '',
             waketime: '',
+            outOfBed: '',
+            sleepLatency: 0,
+            awakenings: 0,
+            awakeMinutes: 0,
             sleepDuration: 0,
+            timeInBed: 0,
+            totalSleepTime: 0,
+            sleepEfficiency: 0,
             sleepDebt: 0,
             caffeine: [],
             alcohol: [],
+            naps: [],
             meals: [],
             exercise: [],
             screens: [],
@@ -48,10 +452,72 @@ class SleepSystem {
             },
             violations: [],
             qualityScore: 0,
-            breakdown: {}
+            breakdown: {},
+            revision: 0,
+            modifiedAt: '',
+            timeZone: ''
+        };
+    }
+
+    getEntryItemFields() {
+        // Expected fields of each dynamic row, keyed by entry array
+        return {
+            caffeine: { time: 'time', mg: 'number' },
+            alcohol: { time: 'time', units: 'number' },
+            naps: { startTime: 'time', endTime: 'time' },
+            meals: { time: 'time', type: 'string', macros: 'string' },
+            exercise: { time: 'time', type: 'string', intensity: 'string', duration: 'number' },
+            screens: { startTime: 'time', endTime: 'time', contentType: 'string' }
         };
     }
 
+    getEntryMigrations() {
+        // Step i upgrades an entry from schema version i to i + 1; the entry
+        // schema version is the number of steps
+        return [
+            entry => {
+                // Fields added after the original entry format get their defaults
+                const defaults = this.getEmptyEntry();
+                const addedFields = ['lightsOut', 'outOfBed', 'sleepLatency', 'awakenings', 'awakeMinutes', 'naps'];
+                addedFields.forEach(field => {
+                    if (!(field in entry)) entry[field] = defaults[field];
+                });
+                
+                // Older entries only knew bed and wake time, so all of it counts as sleep
+                if (!('totalSleepTime' in entry)) {
+                    const valid = this.isValidTime(entry.bedtime) && this.isValidTime(entry.waketime);
+                    Object.assign(entry, valid ? this.calculateSleepMetrics(entry) :
+                        { timeInBed: 0, totalSleepTime: 0, sleepEfficiency: 0 });
+                }
+                return entry;
+            },
+            entry => {
+                // Sync stamps: server revision the entry is based on, last local edit
+                entry.revision = entry.revision || 0;
+                entry.modifiedAt = entry.modifiedAt || '';
+                return entry;
+            },
+            entry => {
+                // Zone the times were logged in; blank is home, or the trip plan's zone
+                entry.timeZone = entry.timeZone || '';
+                return entry;
+            }
+        ];
+    }
+
+    upgradeEntry(entry) {
+        if (this.getValueType(entry) !== 'object') return entry;
+        
+        const migrations = this.getEntryMigrations();
+        let upgraded = { ...entry };
+        for (let version = upgraded.schemaVersion || 0; version < migrations.length; version++) {
+            upgraded = migrations[version](upgraded);
+        }
+        upgraded.schemaVersion = Math.max(upgraded.schemaVersion || 0, migrations.length);
+        
+        return upgraded;
+    }
+
     switchTab(tabName) {
         document.querySelectorAll('.tab').forEach(t => t.classList.remove('active'));
         document.querySelectorAll('.tab-content').forEach(c => c.classList.remove('active'));
@@ -60,1177 +526,6239 @@ class SleepSystem {
         document.getElementById(tabName).classList.add('active');
 
         if (tabName === 'weekly') {
-            this.generateWeeklyReport();
+            this.generateWeeklyReport().catch(err => this.reportError(err));
+        } else if (tabName === 'calendar') {
+            this.renderCalendar().catch(err => this.reportError(err));
+        } else if (tabName === 'travel') {
+            this.renderTrips();
+        } else if (tabName === 'insights') {
+            this.renderInsights().catch(err => this.reportError(err));
         }
     }
 
+    reportError(err) {
+        // Storage failures behind event handlers are reported instead of dropped
+        alert(`Something went wrong: ${err.message}`);
+    }
+
     // ========================================================================
     // DATA MANAGEMENT
     // ========================================================================
 
-    saveEntry(entry) {
-        const data = this.getAllData();
-        const existingIndex = data.findIndex(e => e.date === entry.date);
-        
-        if (existingIndex >= 0) {
-            data[existingIndex] = entry;
-        } else {
-            data.push(entry);
-        }
-        
-        // Sort by date
-        data.sort((a, b) => new Date(a.date) - new Date(b.date));
-        
-        localStorage.setItem('sleepSystemData', JSON.stringify(data));
+    async saveEntry(entry, action = 'save') {
+        // An edit builds on whatever revision the stored copy came from
+        const current = await this.getEntryByDate(entry.date);
+        entry.revision = this.getBaseRevision(entry.date, current);
+        this.markEntriesModified([entry]);
+        await this.store.put(entry);
+        
+        // The replaced version stays in history; callers get it back for undo
+        await this.store.addHistory([this.makeHistoryRecord(action, current || null, entry)]);
+        return current;
     }
 
     getAllData() {
-        const data = localStorage.getItem('sleepSystemData');
-        return data ? JSON.parse(data) : [];
+        // All entries, sorted by date
+        return this.store.getAll();
     }
 
     getEntryByDate(date) {
-        const data = this.getAllData();
-        return data.find(e => e.date === date);
+        return this.store.get(date);
     }
 
     // ========================================================================
-    // SLEEP CALCULATOR
+    // ENTRY HISTORY AND TRASH
     // ========================================================================
 
-    calculateSleepDuration(bedtime, waketime) {
-        const [bedHour, bedMin] = bedtime.split(':').map(Number);
-        const [wakeHour, wakeMin] = waketime.split(':').map(Number);
-        
-        let bedMinutes = bedHour * 60 + bedMin;
-        let wakeMinutes = wakeHour * 60 + wakeMin;
-        
-        // If wake time is earlier in the day, it's next day
-        if (wakeMinutes < bedMinutes) {
-            wakeMinutes += 24 * 60;
-        }
-        
-        return wakeMinutes - bedMinutes;
+    getTrashRetentionDays() {
+        return 30;
     }
 
-    calculateSleepDebt(duration) {
-        const optimal = 480; // 8 hours in minutes
-        const debt = optimal - duration;
-        return Math.max(0, debt);
+    getDerivedEntryFields() {
+        // Recalculated from the logged fields on every save
+        return ['sleepDuration', 'timeInBed', 'totalSleepTime', 'sleepEfficiency', 'sleepDebt', 'violations', 'qualityScore', 'breakdown'];
     }
 
-    getCumulativeSleepDebt() {
-        const data = this.getAllData();
-        return data.reduce((sum, entry) => sum + (entry.sleepDebt || 0), 0);
+    makeHistoryRecord(action, before, after) {
+        return { date: (after || before).date, at: new Date().toISOString(), action, before, after };
     }
 
-    updateSleepInfo() {
-        const bedtime = document.getElementById('bedtime').value;
-        const waketime = document.getElementById('waketime').value;
-        
-        if (bedtime && waketime) {
-            const duration = this.calculateSleepDuration(bedtime, waketime);
-            const hours = Math.floor(duration / 60);
-            const minutes = duration % 60;
-            const debt = this.calculateSleepDebt(duration);
-            const debtHours = Math.floor(debt / 60);
-            const debtMinutes = debt % 60;
-            
-            const info = document.getElementById('sleepInfo');
-            info.innerHTML = `
-                Sleep Duration: ${hours}h ${minutes}m<br>
-                Sleep Debt: ${debtHours}h ${debtMinutes}m
-            `;
-        }
+    describeEntryChange(before, after) {
+        if (!before) return 'Created';
+        if (!after) return 'Deleted';
+        
+        const derived = this.getDerivedEntryFields();
+        const fields = this.getChangedFields(this.getSyncContent(before), this.getSyncContent(after))
+            .filter(field => !derived.includes(field));
+        
+        return fields.map(field => {
+            if (Array.isArray(before[field])) return `${field} ${before[field].length} to ${after[field].length} items`;
+            if (this.getValueType(before[field]) === 'object') return field;
+            return `${field} ${before[field] === '' ? '(blank)' : before[field]} to ${after[field] === '' ? '(blank)' : after[field]}`;
+        }).join(', ') || 'No logged fields changed';
     }
 
-    // ========================================================================
-    // CIRCADIAN ENGINE
-    // ========================================================================
+    async trashEntries(entries, action) {
+        await this.store.moveToTrash(entries.map(e => e.date));
+        this.markEntriesModified([], entries);
+        await this.store.addHistory(entries.map(entry => this.makeHistoryRecord(action, entry, null)));
+    }
 
-    calculateCircadianAlignment(bedtime, waketime, date) {
-        const targetBedtime = '22:30'; // 10:30 PM optimal
-        const targetWaketime = '06:30'; // 6:30 AM optimal
+    async deleteEntry() {
+        const date = document.getElementById('entryDate').value;
+        const entry = date ? await this.getEntryByDate(date) : null;
+        if (!entry) {
+            const message = date ? `No entry saved for ${date}` : 'Select a date to delete';
+            this.showEntryValidation({ errors: [{ field: 'date', message }], warnings: [] });
+            return;
+        }
         
-        const bedDeviation = this.getTimeDeviation(bedtime, targetBedtime);
-        const wakeDeviation = this.getTimeDeviation(waketime, targetWaketime);
+        await this.trashEntries([entry], 'delete');
+        this.clearDailyForm();
+        await this.refreshAfterEntryChange();
+        this.showUndoToast(`Deleted ${date}`, () => this.restoreEntry(date));
+    }
+
+    async undoSave(date, previous) {
+        if (previous) {
+            await this.saveEntry({ ...previous }, 'undo');
+        } else {
+            // The save created the entry, so undoing removes it again
+            const current = await this.getEntryByDate(date);
+            if (current) {
+                await this.store.delete(date);
+                this.markEntriesModified([], [current]);
+                await this.store.addHistory([this.makeHistoryRecord('undo', current, null)]);
+            }
+        }
         
-        let penalty = 0;
+        document.getElementById('resultSection').style.display = 'none';
+        await this.refreshAfterEntryChange();
+    }
+
+    async restoreEntry(date) {
+        const item = await this.store.getTrashItem(date);
+        if (!item) return;
         
-        if (bedDeviation > 90) {
-            penalty += (bedDeviation - 90) * 0.3;
+        if (await this.getEntryByDate(date) && !confirm(`${date} has been logged again since. Replace it with the deleted entry?`)) {
+            return;
         }
         
-        if (wakeDeviation > 90) {
-            penalty += (wakeDeviation - 90) * 0.2;
-        }
+        // Trash and history keep copies as they were: bring them up to the
+        // current schema and score them against today's rules and targets
+        await this.saveEntry(this.scoreEntry(this.upgradeEntry(item.entry)), 'restore');
+        await this.store.deleteFromTrash(date);
+        await this.refreshAfterEntryChange();
+    }
+
+    async deleteForever(date) {
+        if (!confirm(`Permanently delete the entry for ${date}? This cannot be undone.`)) return;
         
-        return { penalty, bedDeviation, wakeDeviation };
+        await this.store.deleteFromTrash(date);
+        await this.renderTrash();
     }
 
-    getTimeDeviation(actual, target) {
-        const [actualHour, actualMin] = actual.split(':').map(Number);
-        const [targetHour, targetMin] = target.split(':').map(Number);
+    async restoreVersion(index) {
+        const record = this.historyRecords[index];
+        const version = record.after || record.before;
         
-        const actualMinutes = actualHour * 60 + actualMin;
-        const targetMinutes = targetHour * 60 + targetMin;
+        if (!confirm(`Restore the ${record.date} entry as it was on ${new Date(record.at).toLocaleString()}?`)) return;
         
-        let diff = Math.abs(actualMinutes - targetMinutes);
+        const previous = await this.saveEntry(this.scoreEntry(this.upgradeEntry(version)), 'restore');
+        await this.store.deleteFromTrash(record.date);
+        await this.refreshAfterEntryChange();
+        this.showUndoToast(`Restored ${record.date}`, () => this.undoSave(record.date, previous));
+    }
+
+    async refreshAfterEntryChange() {
+        await this.updateHeaderStats();
+        await this.updateDataSummary();
+        await this.renderTrash();
         
-        // Handle midnight wrap
-        if (diff > 720) {
-            diff = 1440 - diff;
+        if (document.getElementById('historyPanel').style.display !== 'none') {
+            await this.renderEntryHistory();
         }
-        
-        return diff;
     }
 
-    calculateSocialJetlag() {
-        const data = this.getAllData().slice(-7); // Last 7 days
-        if (data.length < 7) return 0;
+    async toggleEntryHistory() {
+        const panel = document.getElementById('historyPanel');
+        if (panel.style.display !== 'none') {
+            panel.style.display = 'none';
+            return;
+        }
         
-        const weekdays = data.slice(0, 5);
-        const weekends = data.slice(5, 7);
+        panel.style.display = 'block';
+        await this.renderEntryHistory();
+    }
+
+    async renderEntryHistory() {
+        const date = document.getElementById('entryDate').value;
+        const container = document.getElementById('historyEntries');
+        const labels = { save: 'Saved', delete: 'Deleted', restore: 'Restored', undo: 'Undone', import: 'Imported', sync: 'Synced' };
         
-        if (weekdays.length === 0 || weekends.length === 0) return 0;
+        this.historyRecords = date ? await this.store.getHistory(date) : [];
+        document.getElementById('historyDate').textContent = date;
         
-        const avgWeekdayWake = this.getAverageTime(weekdays.map(d => d.waketime));
-        const avgWeekendWake = this.getAverageTime(weekends.map(d => d.waketime));
+        if (this.historyRecords.length === 0) {
+            container.innerHTML = '<p class="plan-note">No changes recorded for this date</p>';
+            return;
+        }
         
-        return this.getTimeDeviation(avgWeekdayWake, avgWeekendWake);
+        const score = entry => entry ? entry.qualityScore : '--';
+        container.innerHTML = this.historyRecords.map((record, i) => `
+            <div class="ledger-row history-row">
+                <span>${new Date(record.at).toLocaleString()}</span>
+                <span>${labels[record.action] || record.action}: score ${score(record.before)} to ${score(record.after)}</span>
+                <span class="import-note">${this.escapeHTML(this.describeEntryChange(record.before, record.after))}</span>
+                <button type="button" class="btn-secondary" onclick="app.restoreVersion(${i})">Restore</button>
+            </div>
+        `).join('');
     }
 
-    getAverageTime(times) {
-        const totalMinutes = times.reduce((sum, time) => {
-            const [h, m] = time.split(':').map(Number);
-            return sum + (h * 60 + m);
-        }, 0);
-        
-        const avgMinutes = Math.round(totalMinutes / times.length);
-        const hours = Math.floor(avgMinutes / 60);
-        const minutes = avgMinutes % 60;
+    async renderTrash() {
+        const items = await this.store.getTrash();
+        const container = document.getElementById('trashEntries');
+        document.getElementById('trashNote').textContent = `Deleted entries are kept here for ${this.getTrashRetentionDays()} days.`;
+        
+        container.innerHTML = items.length === 0 ? '<p class="plan-note">Trash is empty</p>' : items.map(item => `
+            <div class="entry-row trash-row">
+                <span class="trash-date">${item.date}</span>
+                <span class="import-note">${this.escapeHTML(this.describeEntry(item.entry))}, deleted ${new Date(item.deletedAt).toLocaleString()}</span>
+                <button type="button" class="btn-secondary" onclick="app.restoreEntry('${item.date}')">Restore</button>
+                <button type="button" class="btn-remove" onclick="app.deleteForever('${item.date}')">Delete Forever</button>
+            </div>
+        `).join('');
+    }
+
+    showUndoToast(message, undo) {
+        const toast = document.getElementById('undoToast');
+        const hide = () => toast.style.display = 'none';
+        
+        document.getElementById('undoMessage').textContent = message;
+        document.getElementById('undoButton').onclick = () => {
+            hide();
+            clearTimeout(this.undoTimer);
+            undo().catch(err => this.reportError(err));
+        };
+        toast.style.display = 'flex';
         
-        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+        clearTimeout(this.undoTimer);
+        this.undoTimer = setTimeout(hide, 10000);
     }
 
     // ========================================================================
-    // CAFFEINE TRACKER
+    // HOUSEHOLD PROFILES
     // ========================================================================
 
-    calculateCaffeinePenalty(caffeineEntries, bedtime) {
-        if (caffeineEntries.length === 0) return { penalty: 0, remaining: 0 };
-        
-        const halfLife = 5; // hours
-        let totalRemaining = 0;
+    getHouseholdProfiles() {
+        const stored = localStorage.getItem('sleepSystemHousehold');
+        return stored ? JSON.parse(stored) : [{ id: 'default', name: 'Me', pinHash: null }];
+    }
+
+    saveHouseholdProfiles(profiles) {
+        localStorage.setItem('sleepSystemHousehold', JSON.stringify(profiles));
+    }
+
+    getActiveProfileId() {
+        const id = localStorage.getItem('sleepSystemActiveProfile');
+        return this.getHouseholdProfiles().some(p => p.id === id) ? id : 'default';
+    }
+
+    getActiveHouseholdProfile() {
+        const id = this.getActiveProfileId();
+        return this.getHouseholdProfiles().find(p => p.id === id);
+    }
+
+    storageKey(base, profileId = this.getActiveProfileId()) {
+        // The first profile keeps the original keys, so single-user data needs no migration
+        return profileId === 'default' ? base : `${base}:${profileId}`;
+    }
+
+    async hashPin(profileId, pin) {
+        const bytes = new TextEncoder().encode(`${profileId}:${pin}`);
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    async verifyProfilePin(profile) {
+        if (!profile.pinHash) return true;
         
-        const [bedHour, bedMin] = bedtime.split(':').map(Number);
-        const bedtimeMinutes = bedHour * 60 + bedMin;
+        const pin = prompt(`PIN for ${profile.name}`);
+        if (pin === null) return false;
         
-        caffeineEntries.forEach(entry => {
-            const [entryHour, entryMin] = entry.time.split(':').map(Number);
-            let entryMinutes = entryHour * 60 + entryMin;
-            
-            // Calculate hours before bedtime
-            let hoursBefore;
-            if (entryMinutes > bedtimeMinutes) {
-                // Entry is after midnight but before bedtime
-                hoursBefore = (bedtimeMinutes + 1440 - entryMinutes) / 60;
-            } else {
-                hoursBefore = (bedtimeMinutes - entryMinutes) / 60;
-            }
-            
-            // Caffeine decay: remaining = initial * 0.5^(time/halfLife)
-            const remaining = entry.mg * Math.pow(0.5, hoursBefore / halfLife);
-            totalRemaining += remaining;
-        });
+        if (await this.hashPin(profile.id, pin) !== profile.pinHash) {
+            alert('Wrong PIN');
+            return false;
+        }
+        return true;
+    }
+
+    async switchProfile(profileId) {
+        const switcher = document.getElementById('profileSwitcher');
+        const profile = this.getHouseholdProfiles().find(p => p.id === profileId);
         
-        // Penalty calculation: 0.15 per mg remaining
-        const penalty = totalRemaining * 0.15;
+        if (!profile || profileId === this.getActiveProfileId() || !(await this.verifyProfilePin(profile))) {
+            switcher.value = this.getActiveProfileId();
+            return;
+        }
         
-        return { penalty, remaining: totalRemaining };
+        localStorage.setItem('sleepSystemActiveProfile', profileId);
+        await this.applyActiveProfile();
     }
 
-    // ========================================================================
-    // ALCOHOL TRACKER
-    // ========================================================================
+    async applyActiveProfile() {
+        // Everything on screen belongs to one profile; reload all of it
+        this.store.setProfile(this.getActiveProfileId());
+        this.compareProfileId = null;
+        this.selectedTripId = null;
+        this.clearDailyForm();
+        this.updateEntryZoneHint();
+        this.cancelImport();
+        this.cancelWearableImport();
+        this.renderHousehold();
+        this.loadProfileSettings();
+        this.renderRuleSettings();
+        this.renderReminderSettings();
+        this.scheduleReminders();
+        await this.updateHeaderStats();
+        await this.updateDataSummary();
+        this.renderBackupStatus();
+        this.syncConflicts = [];
+        this.renderSyncConflicts();
+        document.getElementById('historyPanel').style.display = 'none';
+        await this.renderTrash();
+        this.renderSyncSettings();
+        this.switchTab(document.querySelector('.tab.active').dataset.tab);
+        await this.checkBackupDue();
+    }
 
-    calculateAlcoholPenalty(alcoholEntries, bedtime) {
-        if (alcoholEntries.length === 0) return { penalty: 0, fragmentationPenalty: 0 };
-        
-        const metabolicRate = 0.015; // BAC per hour
-        let totalBAC = 0;
-        let totalUnits = 0;
+    clearDailyForm() {
+        ['entryTimeZone', 'bedtime', 'lightsOut', 'waketime', 'outOfBed'].forEach(id => document.getElementById(id).value = '');
+        ['sleepLatency', 'awakenings', 'awakeMinutes'].forEach(id => document.getElementById(id).value = 0);
+        ['caffeineEntries', 'alcoholEntries', 'napEntries', 'mealEntries', 'exerciseEntries', 'screenEntries']
+            .forEach(id => document.getElementById(id).innerHTML = '');
+        document.getElementById('resultSection').style.display = 'none';
+        this.updateSleepInfo();
+        this.showMissingFields = false;
+        this.validateEntryForm();
+    }
+
+    renderHousehold() {
+        const profiles = this.getHouseholdProfiles();
+        const activeId = this.getActiveProfileId();
+        
+        document.getElementById('profileSwitcher').innerHTML = profiles.map(p =>
+            `<option value="${p.id}">${this.escapeHTML(p.name)}${p.pinHash ? ' (PIN)' : ''}</option>`).join('');
+        document.getElementById('profileSwitcher').value = activeId;
+        
+        document.getElementById('compareProfile').innerHTML = '<option value="">No comparison</option>' +
+            profiles.filter(p => p.id !== activeId).map(p =>
+                `<option value="${p.id}">${this.escapeHTML(p.name)}</option>`).join('');
+        document.getElementById('compareProfile').value = this.compareProfileId || '';
+        
+        document.getElementById('householdEntries').innerHTML = profiles.map(p => `
+            <div class="entry-row household-row">
+                <span class="household-name">${this.escapeHTML(p.name)}${p.id === activeId ? ' (active)' : ''}</span>
+                <span class="household-pin">${p.pinHash ? 'PIN set' : 'No PIN'}</span>
+                <button type="button" class="btn-secondary" onclick="app.changeProfilePin('${p.id}')">${p.pinHash ? 'Change PIN' : 'Set PIN'}</button>
+                <button type="button" class="btn-secondary" onclick="app.renameHouseholdProfile('${p.id}')">Rename</button>
+                ${p.id === activeId ? '' : `<button type="button" class="btn-remove" onclick="app.deleteHouseholdProfile('${p.id}')">Delete</button>`}
+            </div>
+        `).join('');
+    }
+
+    getProfileSlug() {
+        return this.getActiveHouseholdProfile().name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+    }
+
+    isValidPin(pin) {
+        return /^\d{4,8}$/.test(pin);
+    }
+
+    async addHouseholdProfile() {
+        const name = document.getElementById('householdName').value.trim();
+        const pin = document.getElementById('householdPin').value;
+        const profiles = this.getHouseholdProfiles();
         
-        const [bedHour, bedMin] = bedtime.split(':').map(Number);
-        const bedtimeMinutes = bedHour * 60 + bedMin;
-        
-        alcoholEntries.forEach(entry => {
-            const [entryHour, entryMin] = entry.time.split(':').map(Number);
-            let entryMinutes = entryHour * 60 + entryMin;
-            
-            let hoursBefore;
-            if (entryMinutes > bedtimeMinutes) {
-                hoursBefore = (bedtimeMinutes + 1440 - entryMinutes) / 60;
-            } else {
-                hoursBefore = (bedtimeMinutes - entryMinutes) / 60;
-            }
-            
-            // Convert units to BAC (rough estimate)
-            const initialBAC = entry.units * 0.02;
-            const remainingBAC = Math.max(0, initialBAC - (metabolicRate * hoursBefore));
-            
-            totalBAC += remainingBAC;
-            totalUnits += entry.units;
-        });
-        
-        // Fragmentation penalty: 8 points per unit
-        const fragmentationPenalty = totalUnits * 8;
+        if (!name) {
+            alert('Please enter a name');
+            return;
+        }
+        if (profiles.some(p => p.name.toLowerCase() === name.toLowerCase())) {
+            alert(`There is already a profile called ${name}`);
+            return;
+        }
+        if (pin && !this.isValidPin(pin)) {
+            alert('PIN must be 4 to 8 digits');
+            return;
+        }
         
-        // BAC penalty
-        const bacPenalty = totalBAC * 100;
+        const id = `p-${Date.now()}`;
+        profiles.push({ id, name, pinHash: pin ? await this.hashPin(id, pin) : null });
+        this.saveHouseholdProfiles(profiles);
         
-        return { 
-            penalty: bacPenalty + fragmentationPenalty, 
-            fragmentationPenalty,
-            remainingBAC: totalBAC
-        };
+        document.getElementById('householdName').value = '';
+        document.getElementById('householdPin').value = '';
+        this.renderHousehold();
     }
 
-    // ========================================================================
-    // EXERCISE ENGINE
-    // ========================================================================
+    async changeProfilePin(profileId) {
+        const profiles = this.getHouseholdProfiles();
+        const profile = profiles.find(p => p.id === profileId);
+        if (!(await this.verifyProfilePin(profile))) return;
+        
+        const pin = prompt(`New PIN for ${profile.name} (4 to 8 digits, leave empty for none)`);
+        if (pin === null) return;
+        if (pin && !this.isValidPin(pin)) {
+            alert('PIN must be 4 to 8 digits');
+            return;
+        }
+        
+        profile.pinHash = pin ? await this.hashPin(profile.id, pin) : null;
+        this.saveHouseholdProfiles(profiles);
+        this.renderHousehold();
+    }
 
-    calculateExercisePenalty(exerciseEntries, bedtime) {
-        if (exerciseEntries.length === 0) return { penalty: 0 };
+    async renameHouseholdProfile(profileId) {
+        const profiles = this.getHouseholdProfiles();
+        const profile = profiles.find(p => p.id === profileId);
+        if (!(await this.verifyProfilePin(profile))) return;
         
-        const [bedHour, bedMin] = bedtime.split(':').map(Number);
-        const bedtimeMinutes = bedHour * 60 + bedMin;
+        const name = (prompt('New name', profile.name) || '').trim();
+        if (!name) return;
         
-        let totalPenalty = 0;
+        profile.name = name;
+        this.saveHouseholdProfiles(profiles);
+        this.renderHousehold();
+    }
+
+    async deleteHouseholdProfile(profileId) {
+        const profiles = this.getHouseholdProfiles();
+        const profile = profiles.find(p => p.id === profileId);
+        if (!(await this.verifyProfilePin(profile))) return;
         
-        exerciseEntries.forEach(entry => {
-            const [entryHour, entryMin] = entry.time.split(':').map(Number);
-            let entryMinutes = entryHour * 60 + entryMin;
-            
-            let hoursBefore;
-            if (entryMinutes > bedtimeMinutes) {
-                hoursBefore = (bedtimeMinutes + 1440 - entryMinutes) / 60;
-            } else {
-                hoursBefore = (bedtimeMinutes - entryMinutes) / 60;
-            }
-            
-            let penalty = 0;
-            
-            // High intensity within 3 hours
-            if (entry.intensity === 'high' && hoursBefore < 3) {
-                penalty += (3 - hoursBefore) * 10;
-            }
-            
-            // Cardio within 2 hours
-            if (entry.type === 'cardio' && hoursBefore < 2) {
-                penalty += 15;
-            }
-            
-            // Medium intensity within 2 hours
-            if (entry.intensity === 'medium' && hoursBefore < 2) {
-                penalty += (2 - hoursBefore) * 5;
-            }
-            
-            totalPenalty += penalty;
-        });
+        if (!confirm(`Delete ${profile.name} and all of their sleep data? This cannot be undone.`)) {
+            return;
+        }
         
-        return { penalty: totalPenalty };
+        await this.store.clearProfile(profileId);
+        ['sleepSystemProfile', 'sleepSystemRules', 'sleepSystemReminders', 'sleepSystemBackup', 'sleepSystemSync', 'sleepSystemTrips'].forEach(base =>
+            localStorage.removeItem(this.storageKey(base, profileId)));
+        this.saveHouseholdProfiles(profiles.filter(p => p.id !== profileId));
+        this.renderHousehold();
     }
 
-    // ========================================================================
-    // SCREEN ENGINE
-    // ========================================================================
+    async selectComparisonProfile(profileId) {
+        const profile = this.getHouseholdProfiles().find(p => p.id === profileId);
+        this.compareProfileId = profile && await this.verifyProfilePin(profile) ? profileId : null;
+        document.getElementById('compareProfile').value = this.compareProfileId || '';
+        await this.generateWeeklyReport();
+    }
 
-    calculateScreenPenalty(screenEntries, bedtime) {
-        if (screenEntries.length === 0) return { penalty: 0 };
+    async renderProfileComparison(period, allData) {
+        const container = document.getElementById('profileComparison');
+        const other = this.getHouseholdProfiles().find(p => p.id === this.compareProfileId);
         
-        const [bedHour, bedMin] = bedtime.split(':').map(Number);
-        const bedtimeMinutes = bedHour * 60 + bedMin;
+        if (!other || !period) {
+            container.innerHTML = '';
+            return;
+        }
         
-        let totalPenalty = 0;
+        const self = this.getActiveHouseholdProfile();
+        const mine = new Map(allData.map(e => [e.date, e]));
+        const theirs = new Map((await this.store.getRange(period.start, period.end, other.id)).map(e => [e.date, e]));
+        const dates = this.getDateRange(period.start, period.end);
+        const shared = dates.filter(date => mine.has(date) && theirs.has(date));
         
-        screenEntries.forEach(entry => {
-            const [endHour, endMin] = entry.endTime.split(':').map(Number);
-            let endMinutes = endHour * 60 + endMin;
-            
-            let hoursBefore;
-            if (endMinutes > bedtimeMinutes) {
-                hoursBefore = (bedtimeMinutes + 1440 - endMinutes) / 60;
-            } else {
-                hoursBefore = (bedtimeMinutes - endMinutes) / 60;
-            }
-            
-            let penalty = 0;
-            
-            // Blue light within 2 hours
-            if (hoursBefore < 2) {
-                penalty += 20;
-            }
-            
-            // Active content within 1 hour
-            if (entry.contentType === 'active' && hoursBefore < 1) {
-                penalty += 30;
-            }
-            
-            // Moderate content within 1 hour
-            if (entry.contentType === 'moderate' && hoursBefore < 1) {
-                penalty += 15;
-            }
-            
-            totalPenalty += penalty;
-        });
+        if (shared.length === 0) {
+            container.innerHTML = `<p class="trend-empty">No nights logged by both ${this.escapeHTML(self.name)} and ${this.escapeHTML(other.name)} in this period</p>`;
+            return;
+        }
         
-        return { penalty: totalPenalty };
+        // Bedtime alignment and shared disturbances on nights both logged
+        const bedGaps = shared.map(date => this.getTimeDeviation(mine.get(date).bedtime, theirs.get(date).bedtime));
+        const wakeGaps = shared.map(date => this.getTimeDeviation(mine.get(date).waketime, theirs.get(date).waketime));
+        const average = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+        const bothDisturbed = shared.filter(date => mine.get(date).awakenings > 0 && theirs.get(date).awakenings > 0).length;
+        
+        const clock = time => {
+            const [h, m] = time.split(':').map(Number);
+            return ((h * 60 + m - 18 * 60 + 1440) % 1440) / 60;
+        };
+        const bars = [];
+        dates.forEach((date, i) => {
+            [[mine.get(date), -0.18, 'var(--primary)'], [theirs.get(date), 0.18, 'var(--warning)']].forEach(([e, offset, color]) => {
+                if (e) bars.push({ x: i + offset, from: clock(e.bedtime), to: clock(e.waketime), color, width: 0.3 });
+            });
+        });
+        const clockTop = Math.max(0, Math.floor(Math.min(...bars.map(b => b.from)) - 1));
+        const clockBottom = Math.min(18, Math.ceil(Math.max(...bars.map(b => b.to)) + 1));
+        const tickStep = Math.ceil(dates.length / 8);
+        
+        container.innerHTML = `
+            <div class="metrics-grid">
+                <div class="metric-card">
+                    <h3>Bedtime Alignment</h3>
+                    <div class="metric-value">${Math.round(average(bedGaps))}m</div>
+                    <div class="metric-detail">Average bedtime gap; ${bedGaps.filter(gap => gap <= 30).length} of ${shared.length} nights within 30 minutes. Wake gap ${Math.round(average(wakeGaps))}m.</div>
+                </div>
+                <div class="metric-card">
+                    <h3>Disturbances</h3>
+                    <div class="metric-value">${bothDisturbed}/${shared.length}</div>
+                    <div class="metric-detail">Nights both woke up. Awakenings per night: ${this.escapeHTML(self.name)} ${average(shared.map(d => mine.get(d).awakenings)).toFixed(1)}, ${this.escapeHTML(other.name)} ${average(shared.map(d => theirs.get(d).awakenings)).toFixed(1)}.</div>
+                </div>
+            </div>
+            ${this.renderLineChart({
+                series: [],
+                bars,
+                xMin: -0.5,
+                xMax: dates.length - 0.5,
+                xTicks: dates.map((date, i) => ({ x: i, label: date.slice(5) })).filter(tick => tick.x % tickStep === 0),
+                yMin: clockBottom,
+                yMax: clockTop,
+                yFormat: v => this.addMinutesToTime('18:00', Math.round(v * 60))
+            })}
+            <div class="chart-legend">
+                <span><i style="background: var(--primary)"></i>${this.escapeHTML(self.name)}</span>
+                <span><i style="background: var(--warning)"></i>${this.escapeHTML(other.name)}</span>
+            </div>
+            <div class="debt-ledger">
+                ${shared.map((date, i) => `
+                    <div class="ledger-row">
+                        <span>${date.slice(5)}</span>
+                        <span>${mine.get(date).bedtime}-${mine.get(date).waketime} / ${theirs.get(date).bedtime}-${theirs.get(date).waketime}</span>
+                        <span>${bedGaps[i]}m apart, ${mine.get(date).awakenings}/${theirs.get(date).awakenings} awakenings</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
     }
 
     // ========================================================================
-    // MEAL ENGINE
+    // SLEEP PROFILE
     // ========================================================================
 
-    calculateMealPenalty(mealEntries, bedtime) {
-        if (mealEntries.length === 0) return { penalty: 0 };
-        
-        const [bedHour, bedMin] = bedtime.split(':').map(Number);
-        const bedtimeMinutes = bedHour * 60 + bedMin;
-        
-        let totalPenalty = 0;
-        
-        mealEntries.forEach(entry => {
-            const [mealHour, mealMin] = entry.time.split(':').map(Number);
-            let mealMinutes = mealHour * 60 + mealMin;
-            
-            let hoursBefore;
-            if (mealMinutes > bedtimeMinutes) {
-                hoursBefore = (bedtimeMinutes + 1440 - mealMinutes) / 60;
-            } else {
-                hoursBefore = (bedtimeMinutes - mealMinutes) / 60;
-            }
-            
-            let penalty = 0;
-            
-            // Large meal within 3 hours
-            if (entry.type === 'large' && hoursBefore < 3) {
-                penalty += (3 - hoursBefore) * 8;
-            }
-            
-            // High fat within 4 hours
-            if (entry.macros === 'high-fat' && hoursBefore < 4) {
-                penalty += (4 - hoursBefore) * 5;
-            }
-            
-            // High protein within 2 hours (can disturb sleep)
-            if (entry.macros === 'high-protein' && hoursBefore < 2) {
-                penalty += 10;
-            }
-            
-            totalPenalty += penalty;
-        });
-        
-        return { penalty: totalPenalty };
+    getDefaultProfile() {
+        return {
+            sleepNeed: 480, // minutes
+            minSleep: 420, // minutes
+            targetBedtime: '22:30',
+            targetWaketime: '06:30',
+            chronotype: 'intermediate',
+            meqScore: null,
+            caffeineHalfLife: 5, // hours
+            caffeinePregnant: false,
+            caffeineSmoker: false,
+            caffeineOralContraceptives: false,
+            bodyWeightKg: 75,
+            sex: 'male', // male, female or custom (uses widmarkFactor)
+            widmarkFactor: 0.68,
+            debtWindowDays: 14,
+            workDays: [1, 2, 3, 4, 5], // wake days, 0 = Sunday
+            holidays: [],
+            homeTimeZone: this.getDeviceTimeZone()
+        };
     }
 
-    // ========================================================================
-    // ENVIRONMENT ENGINE
-    // ========================================================================
+    getProfile() {
+        const stored = localStorage.getItem(this.storageKey('sleepSystemProfile'));
+        return { ...this.getDefaultProfile(), ...(stored ? JSON.parse(stored) : {}) };
+    }
 
-    calculateEnvironmentScore(environment) {
-        let bonus = 0;
-        let penalties = 0;
+    saveProfile(profile) {
+        localStorage.setItem(this.storageKey('sleepSystemProfile'), JSON.stringify(profile));
+    }
+
+    loadProfileSettings() {
+        const profile = this.getProfile();
+        
+        document.getElementById('profileSleepNeed').value = profile.sleepNeed / 60;
+        document.getElementById('profileMinSleep').value = profile.minSleep / 60;
+        document.getElementById('profileTargetBedtime').value = profile.targetBedtime;
+        document.getElementById('profileTargetWaketime').value = profile.targetWaketime;
+        document.getElementById('profileHomeTimeZone').value = profile.homeTimeZone;
+        document.getElementById('profileChronotype').value = profile.chronotype;
+        document.getElementById('profileCaffeineHalfLife').value = profile.caffeineHalfLife;
+        document.getElementById('profileCaffeinePregnant').checked = profile.caffeinePregnant;
+        document.getElementById('profileCaffeineSmoker').checked = profile.caffeineSmoker;
+        document.getElementById('profileCaffeineOralContraceptives').checked = profile.caffeineOralContraceptives;
+        document.getElementById('profileBodyWeight').value = profile.bodyWeightKg;
+        document.getElementById('profileSex').value = profile.sex;
+        document.getElementById('profileWidmarkFactor').value = this.getWidmarkFactor(profile);
+        document.getElementById('profileDebtWindow').value = profile.debtWindowDays;
+        document.querySelectorAll('.profile-workday').forEach(box => {
+            box.checked = profile.workDays.includes(Number(box.value));
+        });
+        document.getElementById('profileHolidays').value = profile.holidays.join(', ');
+    }
+
+    async saveProfileSettings() {
+        const profile = {
+            ...this.getProfile(),
+            sleepNeed: Math.round(parseFloat(document.getElementById('profileSleepNeed').value) * 60),
+            minSleep: Math.round(parseFloat(document.getElementById('profileMinSleep').value) * 60),
+            targetBedtime: document.getElementById('profileTargetBedtime').value,
+            targetWaketime: document.getElementById('profileTargetWaketime').value,
+            homeTimeZone: document.getElementById('profileHomeTimeZone').value.trim(),
+            chronotype: document.getElementById('profileChronotype').value,
+            caffeineHalfLife: parseFloat(document.getElementById('profileCaffeineHalfLife').value),
+            caffeinePregnant: document.getElementById('profileCaffeinePregnant').checked,
+            caffeineSmoker: document.getElementById('profileCaffeineSmoker').checked,
+            caffeineOralContraceptives: document.getElementById('profileCaffeineOralContraceptives').checked,
+            bodyWeightKg: parseFloat(document.getElementById('profileBodyWeight').value),
+            sex: document.getElementById('profileSex').value,
+            widmarkFactor: parseFloat(document.getElementById('profileWidmarkFactor').value),
+            debtWindowDays: parseInt(document.getElementById('profileDebtWindow').value),
+            workDays: [...document.querySelectorAll('.profile-workday:checked')].map(box => Number(box.value)),
+            holidays: document.getElementById('profileHolidays').value.split(/[\s,]+/).filter(Boolean).sort()
+        };
         
-        // Temperature scoring (optimal: 60-67°F)
-        if (environment.temp >= 60 && environment.temp <= 67) {
-            bonus += 5;
-        } else if (environment.temp < 60) {
-            penalties += (60 - environment.temp) * 2;
-        } else if (environment.temp > 67) {
-            penalties += (environment.temp - 67) * 2;
+        if (!profile.sleepNeed || !profile.minSleep || !profile.targetBedtime ||
+            !profile.targetWaketime || !(profile.caffeineHalfLife > 0) || !(profile.debtWindowDays > 0) ||
+            !(profile.bodyWeightKg > 0) || !(profile.widmarkFactor > 0)) {
+            alert('Please fill in all profile fields');
+            return;
         }
         
-        // Light scoring (optimal: < 50 lux)
-        if (environment.light < 50) {
-            bonus += 5;
-        } else {
-            penalties += (environment.light - 50) * 0.1;
+        const badHoliday = profile.holidays.find(date => !this.isValidDate(date));
+        if (badHoliday) {
+            alert(`Invalid holiday date "${badHoliday}" (use YYYY-MM-DD)`);
+            return;
         }
         
-        // Noise scoring (optimal: < 30 dB)
-        if (environment.noise < 30) {
-            bonus += 5;
-        } else {
-            penalties += (environment.noise - 30) * 0.5;
+        if (profile.minSleep > profile.sleepNeed) {
+            alert('Minimum sleep cannot be longer than sleep need');
+            return;
         }
         
-        // Bedroom only usage
-        if (environment.bedroomOnly) {
-            bonus += 5;
+        if (!this.isValidTimeZone(profile.homeTimeZone)) {
+            alert(`Unknown time zone "${profile.homeTimeZone}" (use a name like Europe/Berlin or an offset like +02:00)`);
+            return;
         }
         
-        return { bonus, penalties };
+        if (this.pendingMeqScore !== null) {
+            profile.meqScore = this.pendingMeqScore;
+            this.pendingMeqScore = null;
+        }
+        
+        this.saveProfile(profile);
+        
+        // Targets changed, so every stored night needs new debt, violations and score
+        const rescored = await this.rescoreAllEntries();
+        await this.updateHeaderStats();
+        await this.updateDataSummary();
+        this.renderRuleSettings();
+        this.renderReminderSettings();
+        this.scheduleReminders();
+        this.updateEntryZoneHint();
+        
+        const status = document.getElementById('profileStatus');
+        status.style.display = 'block';
+        status.textContent = `Profile saved. ${rescored} entries re-scored.`;
     }
 
-    // ========================================================================
-    // RULE ENGINE
-    // ========================================================================
+    getChronotypeQuestions() {
+        // Reduced Morningness-Eveningness Questionnaire (rMEQ, Adan & Almirall 1991)
+        return [
+            {
+                text: 'If you were entirely free to plan your day, at what time would you get up?',
+                options: [['05:00 - 06:30', 5], ['06:30 - 07:45', 4], ['07:45 - 09:45', 3], ['09:45 - 11:00', 2], ['11:00 - 12:00', 1]]
+            },
+            {
+                text: 'During the first half hour after waking, how tired do you feel?',
+                options: [['Very tired', 1], ['Fairly tired', 2], ['Fairly refreshed', 3], ['Very refreshed', 4]]
+            },
+            {
+                text: 'At what time in the evening do you feel tired and in need of sleep?',
+                options: [['20:00 - 21:00', 5], ['21:00 - 22:15', 4], ['22:15 - 00:45', 3], ['00:45 - 02:00', 2], ['02:00 - 03:00', 1]]
+            },
+            {
+                text: 'At what time of day do you reach your "feeling best" peak?',
+                options: [['05:00 - 08:00', 5], ['08:00 - 10:00', 4], ['10:00 - 17:00', 3], ['17:00 - 22:00', 2], ['22:00 - 05:00', 1]]
+            },
+            {
+                text: 'Which of these types do you consider yourself to be?',
+                options: [['Definitely a morning type', 6], ['Rather more a morning type', 4], ['Rather more an evening type', 2], ['Definitely an evening type', 0]]
+            }
+        ];
+    }
 
-    evaluateRules(entry) {
-        const violations = [];
-        
-        // Sleep duration rule
-        if (entry.sleepDuration < 420) { // Less than 7 hours
-            violations.push(`CRITICAL: Sleep duration ${Math.floor(entry.sleepDuration/60)}h ${entry.sleepDuration%60}m is below minimum 7h`);
-        }
+    renderChronotypeQuestionnaire() {
+        const container = document.getElementById('meqQuestions');
+        container.innerHTML = this.getChronotypeQuestions().map((q, i) => `
+            <div class="form-row">
+                <label>
+                    ${i + 1}. ${q.text}
+                    <select class="meq-answer">
+                        <option value="">Select...</option>
+                        ${q.options.map(([label, points]) => `<option value="${points}">${label}</option>`).join('')}
+                    </select>
+                </label>
+            </div>
+        `).join('');
+    }
+
+    scoreChronotypeQuestionnaire() {
+        const answers = [...document.querySelectorAll('#meqQuestions .meq-answer')].map(s => s.value);
+        const result = document.getElementById('meqResult');
         
-        // Caffeine cutoff rule
-        const caffeineResult = this.calculateCaffeinePenalty(entry.caffeine, entry.bedtime);
-        if (caffeineResult.remaining > 50) {
-            violations.push(`Caffeine remaining at bedtime: ${Math.round(caffeineResult.remaining)}mg (limit: 50mg)`);
+        if (answers.some(a => a === '')) {
+            result.textContent = 'Answer all five questions to estimate your chronotype.';
+            return;
         }
         
-        // Alcohol rule
-        const totalAlcohol = entry.alcohol.reduce((sum, a) => sum + a.units, 0);
-        if (totalAlcohol > 2) {
-            violations.push(`Alcohol consumption: ${totalAlcohol} units (limit: 2 units)`);
-        }
+        const score = answers.reduce((sum, a) => sum + Number(a), 0);
+        const chronotype = this.getChronotypeFromScore(score);
+        const sleepNeed = Math.round(parseFloat(document.getElementById('profileSleepNeed').value) * 60) ||
+            this.getProfile().sleepNeed;
         
-        // Exercise timing rule
-        entry.exercise.forEach(ex => {
-            const [bedHour, bedMin] = entry.bedtime.split(':').map(Number);
-            const [exHour, exMin] = ex.time.split(':').map(Number);
-            
-            let bedMinutes = bedHour * 60 + bedMin;
-            let exMinutes = exHour * 60 + exMin;
-            
-            let hoursBefore = (bedMinutes - exMinutes) / 60;
-            if (exMinutes > bedMinutes) {
-                hoursBefore = (bedMinutes + 1440 - exMinutes) / 60;
-            }
-            
-            if (ex.intensity === 'high' && hoursBefore < 3) {
-                violations.push(`High intensity exercise within 3h of bedtime (${hoursBefore.toFixed(1)}h before)`);
-            }
-        });
+        // Suggest a sleep window centred on the chronotype's typical onset
+        const bedtime = this.getChronotypeBedtime(chronotype);
+        const waketime = this.addMinutesToTime(bedtime, sleepNeed);
         
-        // Screen cutoff rule
-        entry.screens.forEach(screen => {
-            const [bedHour, bedMin] = entry.bedtime.split(':').map(Number);
-            const [screenHour, screenMin] = screen.endTime.split(':').map(Number);
-            
-            let bedMinutes = bedHour * 60 + bedMin;
-            let screenMinutes = screenHour * 60 + screenMin;
-            
-            let hoursBefore = (bedMinutes - screenMinutes) / 60;
-            if (screenMinutes > bedMinutes) {
-                hoursBefore = (bedMinutes + 1440 - screenMinutes) / 60;
-            }
-            
-            if (hoursBefore < 1) {
-                violations.push(`Screen time within 1h of bedtime (${(hoursBefore * 60).toFixed(0)}min before)`);
-            }
-        });
+        document.getElementById('profileChronotype').value = chronotype;
+        document.getElementById('profileTargetBedtime').value = bedtime;
+        document.getElementById('profileTargetWaketime').value = waketime;
         
-        // Circadian alignment
-        const circadian = this.calculateCircadianAlignment(entry.bedtime, entry.waketime, entry.date);
-        if (circadian.bedDeviation > 120) {
-            violations.push(`Bedtime ${Math.round(circadian.bedDeviation)}min from optimal (limit: 120min)`);
-        }
+        const label = document.querySelector(`#profileChronotype option[value="${chronotype}"]`).textContent;
+        result.innerHTML = `
+            Score: ${score}/25 (${label})<br>
+            Suggested targets: ${bedtime} - ${waketime}. Save the profile to apply.
+        `;
         
-        return violations;
+        this.pendingMeqScore = score;
     }
 
-    // ========================================================================
-    // SCORING ENGINE
-    // ========================================================================
+    getChronotypeFromScore(score) {
+        if (score >= 22) return 'definite-morning';
+        if (score >= 18) return 'moderate-morning';
+        if (score >= 12) return 'intermediate';
+        if (score >= 8) return 'moderate-evening';
+        return 'definite-evening';
+    }
 
-    calculateQualityScore(entry) {
-        let baseScore = 100;
-        const breakdown = {};
-        
-        // Sleep duration penalty
-        const duration = entry.sleepDuration;
-        let durationPenalty = 0;
-        
-        if (duration < 420) { // Less than 7 hours
-            durationPenalty = (420 - duration) / 60 * 15;
-        } else if (duration > 540) { // More than 9 hours
-            durationPenalty = (duration - 540) / 60 * 10;
-        }
-        
+    getChronotypeBedtime(chronotype) {
+        return {
+            'definite-morning': '21:30',
+            'moderate-morning': '22:00',
+            'intermediate': '22:30',
+            'moderate-evening': '23:30',
+            'definite-evening': '00:30'
+        }[chronotype];
+    }
+
+    timeToMinutes(time) {
+        const [h, m] = time.split(':').map(Number);
+        return h * 60 + m;
+    }
+
+    addMinutesToTime(time, minutes) {
+        const [h, m] = time.split(':').map(Number);
+        const total = ((h * 60 + m + minutes) % 1440 + 1440) % 1440;
+        return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    formatMinutes(minutes) {
+        const h = Math.floor(minutes / 60);
+        const m = Math.round(minutes % 60);
+        return m > 0 ? `${h}h ${m}m` : `${h}h`;
+    }
+
+    // ========================================================================
+    // SLEEP CALCULATOR
+    // ========================================================================
+
+    calculateSleepDuration(bedtime, waketime) {
+        const [bedHour, bedMin] = bedtime.split(':').map(Number);
+        const [wakeHour, wakeMin] = waketime.split(':').map(Number);
+        
+        let bedMinutes = bedHour * 60 + bedMin;
+        let wakeMinutes = wakeHour * 60 + wakeMin;
+        
+        // If wake time is earlier in the day, it's next day
+        if (wakeMinutes < bedMinutes) {
+            wakeMinutes += 24 * 60;
+        }
+        
+        return wakeMinutes - bedMinutes;
+    }
+
+    calculateSleepMetrics(entry) {
+        // Time in bed runs from getting into bed to getting up; sleep starts
+        // at lights out (or bedtime) and excludes latency and awakenings
+        const timeInBed = this.calculateSleepDuration(entry.bedtime, entry.outOfBed || entry.waketime);
+        const sleepWindow = this.calculateSleepDuration(entry.lightsOut || entry.bedtime, entry.waketime);
+        const totalSleepTime = Math.max(0, sleepWindow - entry.sleepLatency - entry.awakeMinutes);
+        const sleepEfficiency = timeInBed > 0 ? Math.round(totalSleepTime / timeInBed * 100) : 0;
+        
+        return { timeInBed, totalSleepTime, sleepEfficiency };
+    }
+
+    getSleepOnset(entry) {
+        return this.addMinutesToTime(entry.lightsOut || entry.bedtime, entry.sleepLatency);
+    }
+
+    calculateSleepDebt(duration) {
+        const optimal = this.getProfile().sleepNeed;
+        const debt = optimal - duration;
+        return Math.max(0, debt);
+    }
+
+    getCumulativeSleepDebt(data) {
+        const ledger = this.buildDebtLedger(data);
+        return ledger.length > 0 ? ledger[ledger.length - 1].balance : 0;
+    }
+
+    getSleepForDebt(entry) {
+        // Daytime naps repay the same need as night sleep
+        return entry.totalSleepTime + this.getNapMinutes(entry.naps);
+    }
+
+    buildDebtLedger(data, endDate = this.getLocalDateString(new Date())) {
+        if (data.length === 0) return [];
+        
+        const { sleepNeed, debtWindowDays } = this.getProfile();
+        const byDate = new Map(data.map(e => [e.date, e]));
+        const lastDate = data[data.length - 1].date;
+        
+        // One row per calendar day; days without an entry are explicit gaps
+        // that neither add debt nor repay it, but still age older nights out
+        const nights = this.getDateRange(data[0].date, endDate > lastDate ? endDate : lastDate).map(date => {
+            const entry = byDate.get(date);
+            if (!entry) {
+                return { date, missing: true, slept: null, delta: 0 };
+            }
+            
+            const slept = this.getSleepForDebt(entry);
+            return { date, missing: false, slept, delta: sleepNeed - slept };
+        });
+        
+        return nights.map((night, i) => {
+            // Replay only the nights inside the window: older debt is forgiven.
+            // Long nights repay debt but never bank credit below zero.
+            let balance = 0;
+            nights.slice(Math.max(0, i - debtWindowDays + 1), i + 1).forEach(n => {
+                balance = Math.max(0, balance + n.delta);
+            });
+            
+            return { ...night, balance };
+        });
+    }
+
+    formatDebtChange(delta) {
+        if (delta === 0) return 'even';
+        return delta > 0 ? `+${this.formatMinutes(delta)}` : `-${this.formatMinutes(-delta)} repaid`;
+    }
+
+    getLocalDateString(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    addDays(dateString, days) {
+        const date = new Date(dateString + 'T00:00:00Z');
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().slice(0, 10);
+    }
+
+    getDateRange(start, end) {
+        const dates = [];
+        for (let date = start; date <= end; date = this.addDays(date, 1)) {
+            dates.push(date);
+        }
+        return dates;
+    }
+
+    readSleepTimingForm() {
+        return {
+            bedtime: document.getElementById('bedtime').value,
+            lightsOut: document.getElementById('lightsOut').value,
+            waketime: document.getElementById('waketime').value,
+            outOfBed: document.getElementById('outOfBed').value,
+            sleepLatency: parseInt(document.getElementById('sleepLatency').value) || 0,
+            awakenings: parseInt(document.getElementById('awakenings').value) || 0,
+            awakeMinutes: parseInt(document.getElementById('awakeMinutes').value) || 0
+        };
+    }
+
+    updateSleepInfo() {
+        const timing = this.readSleepTimingForm();
+        
+        if (timing.bedtime && timing.waketime) {
+            const metrics = this.calculateSleepMetrics(timing);
+            const debt = this.calculateSleepDebt(metrics.totalSleepTime);
+            
+            const info = document.getElementById('sleepInfo');
+            info.innerHTML = `
+                Time in Bed: ${this.formatMinutes(metrics.timeInBed)}<br>
+                Total Sleep: ${this.formatMinutes(metrics.totalSleepTime)} (onset ${this.getSleepOnset(timing)})<br>
+                Sleep Efficiency: ${metrics.sleepEfficiency}%<br>
+                Sleep Debt: ${this.formatMinutes(debt)}
+            `;
+        }
+    }
+
+    // ========================================================================
+    // CIRCADIAN ENGINE
+    // ========================================================================
+
+    calculateCircadianAlignment(entry) {
+        const targets = this.getCircadianTargets(entry);
+        
+        const bedDeviation = this.getTimeDeviation(entry.bedtime, targets.bedtime);
+        const wakeDeviation = this.getTimeDeviation(entry.waketime, targets.waketime);
+        
+        let penalty = 0;
+        
+        if (bedDeviation > 90) {
+            penalty += (bedDeviation - 90) * 0.3;
+        }
+        
+        if (wakeDeviation > 90) {
+            penalty += (wakeDeviation - 90) * 0.2;
+        }
+        
+        return { penalty, bedDeviation, wakeDeviation, targets };
+    }
+
+    getTimeDeviation(actual, target) {
+        const [actualHour, actualMin] = actual.split(':').map(Number);
+        const [targetHour, targetMin] = target.split(':').map(Number);
+        
+        const actualMinutes = actualHour * 60 + actualMin;
+        const targetMinutes = targetHour * 60 + targetMin;
+        
+        let diff = Math.abs(actualMinutes - targetMinutes);
+        
+        // Handle midnight wrap
+        if (diff > 720) {
+            diff = 1440 - diff;
+        }
+        
+        return diff;
+    }
+
+    getHoursBeforeBedtime(time, bedtime) {
+        const [bedHour, bedMin] = bedtime.split(':').map(Number);
+        const [hour, min] = time.split(':').map(Number);
+        
+        const bedMinutes = bedHour * 60 + bedMin;
+        const minutes = hour * 60 + min;
+        
+        // Times later on the clock than bedtime happened the evening before
+        if (minutes > bedMinutes) {
+            return (bedMinutes + 1440 - minutes) / 60;
+        }
+        return (bedMinutes - minutes) / 60;
+    }
+
+    getHoursFromBedtime(time, bedtime, waketime) {
+        // Place a clock time in the 24 hours leading up to wake time, so a
+        // 00:30 espresso after a 23:00 bedtime lands 1.5h into the night
+        const wakeMinutes = this.timeToMinutes(waketime);
+        const beforeWake = t => ((wakeMinutes - this.timeToMinutes(t)) % 1440 + 1440) % 1440 || 1440;
+        
+        return (beforeWake(bedtime) - beforeWake(time)) / 60;
+    }
+
+    calculateSocialJetlag(entries) {
+        const profile = this.getProfile();
+        const workNights = entries.filter(e => !this.isFreeDay(e.date, profile));
+        const freeNights = entries.filter(e => this.isFreeDay(e.date, profile));
+        
+        const result = {
+            jetlag: 0,
+            jetlagSc: 0,
+            msw: null,
+            msf: null,
+            msfsc: null,
+            workNights: workNights.length,
+            freeNights: freeNights.length
+        };
+        
+        if (workNights.length === 0 || freeNights.length === 0) return result;
+        
+        // Mid-sleep points are minutes after the preceding noon, so nights
+        // that straddle midnight average without wrapping
+        const average = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+        const msw = average(workNights.map(e => this.getMidSleep(e)));
+        const msf = average(freeNights.map(e => this.getMidSleep(e)));
+        const sdw = average(workNights.map(e => e.totalSleepTime));
+        const sdf = average(freeNights.map(e => e.totalSleepTime));
+        
+        // MSFsc (Roenneberg): remove the oversleep on free days that only
+        // repays work-day debt, weighting by the calendar's work/free split
+        const workDaysPerWeek = profile.workDays.length;
+        const sdWeek = (sdw * workDaysPerWeek + sdf * (7 - workDaysPerWeek)) / 7;
+        const msfsc = sdf > sdw ? msf - (sdf - sdWeek) / 2 : msf;
+        
+        return {
+            ...result,
+            jetlag: Math.round(Math.abs(msf - msw)),
+            jetlagSc: Math.round(Math.abs(msfsc - msw)),
+            msw: this.addMinutesToTime('12:00', Math.round(msw)),
+            msf: this.addMinutesToTime('12:00', Math.round(msf)),
+            msfsc: this.addMinutesToTime('12:00', Math.round(msfsc))
+        };
+    }
+
+    getSocialJetlagWindow(data) {
+        // The four calendar weeks up to the latest entry
+        if (data.length === 0) return [];
+        
+        const end = data[data.length - 1].date;
+        const start = this.addDays(end, -27);
+        return data.filter(e => e.date >= start && e.date <= end);
+    }
+
+    getMidSleep(entry) {
+        const [onsetHour, onsetMin] = this.getSleepOnset(entry).split(':').map(Number);
+        const onset = (onsetHour * 60 + onsetMin + 720) % 1440;
+        
+        // Awake time during the night is spread evenly, so it doesn't shift the midpoint
+        const sleepWindow = entry.totalSleepTime + entry.awakeMinutes;
+        return onset + sleepWindow / 2;
+    }
+
+    isFreeDay(date, profile = this.getProfile()) {
+        // Entries are dated by wake day, so this classifies the night before it
+        if (profile.holidays.includes(date)) return true;
+        return !profile.workDays.includes(new Date(date + 'T00:00:00Z').getUTCDay());
+    }
+
+    formatSocialJetlagDetail(result) {
+        if (result.msw === null) {
+            return `Needs work and free nights (${result.workNights} work / ${result.freeNights} free)`;
+        }
+        return `MSW ${result.msw}, MSF ${result.msf} (sc ${result.msfsc}), ` +
+            `${result.workNights} work / ${result.freeNights} free nights`;
+    }
+
+    // ========================================================================
+    // TIME ZONES AND TRAVEL
+    // ========================================================================
+
+    getDeviceTimeZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    }
+
+    parseUtcOffset(zone) {
+        // Fixed offsets like "+02:00", "-0530", "UTC+2" or "GMT-03:30"
+        const text = String(zone).trim();
+        if (/^(UTC|GMT|Z)$/i.test(text)) return 0;
+        
+        const match = /^(?:UTC|GMT)?([+-])(\d{1,2})(?::?(\d{2}))?$/i.exec(text);
+        if (!match || Number(match[2]) > 14 || Number(match[3] || 0) > 59) return null;
+        return (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3] || 0));
+    }
+
+    getTimeZoneOffset(zone, date) {
+        // Minutes east of UTC at midday on the date; null for an unknown zone
+        if (!zone) return null;
+        const fixed = this.parseUtcOffset(zone);
+        if (fixed !== null) return fixed;
+        
+        try {
+            const noon = new Date(`${date}T12:00:00Z`);
+            const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+                timeZone: zone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit'
+            }).formatToParts(noon).map(part => [part.type, Number(part.value)]));
+            return Math.round((Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - noon) / 60000);
+        } catch {
+            return null;
+        }
+    }
+
+    isValidTimeZone(zone) {
+        return this.getTimeZoneOffset(zone, '2026-01-01') !== null;
+    }
+
+    formatUtcOffset(minutes) {
+        const sign = minutes < 0 ? '-' : '+';
+        const abs = Math.abs(minutes);
+        return `UTC${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+    }
+
+    renderTimeZoneList() {
+        const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+        document.getElementById('timeZoneList').innerHTML = zones.map(zone => `<option value="${zone}">`).join('');
+    }
+
+    getEntryZoneHint(date) {
+        // A blank entry zone means wherever the trip plan, or else home, puts that night
+        const day = date && this.getTravelDay(date);
+        return day ? day.zone : this.getProfile().homeTimeZone;
+    }
+
+    updateEntryZoneHint() {
+        const zone = this.getEntryZoneHint(document.getElementById('entryDate').value);
+        document.getElementById('entryTimeZone').placeholder = `Local (${zone})`;
+    }
+
+    getTrips() {
+        const stored = localStorage.getItem(this.storageKey('sleepSystemTrips'));
+        return stored ? JSON.parse(stored) : [];
+    }
+
+    saveTrips(trips) {
+        const sorted = [...trips].sort((a, b) => (a.departDate + a.departTime).localeCompare(b.departDate + b.departTime));
+        localStorage.setItem(this.storageKey('sleepSystemTrips'), JSON.stringify(sorted));
+    }
+
+    getJetLagModel() {
+        return {
+            // The body clock delays (westward) faster than it advances (eastward)
+            advancePerDay: 60,
+            delayPerDay: 90,
+            // Eastward shifts beyond this usually re-entrain by delaying the long way round
+            maxAdvance: 8 * 60,
+            // Shifting ahead of the flight at home, an hour a day for up to three days
+            preTravelDays: 3,
+            preTravelPerDay: 60,
+            // The last night at home still ends in time to get to the airport
+            wakeBeforeDeparture: 180,
+            // Light just after waking advances the clock, light before bed delays it
+            lightWindow: 180
+        };
+    }
+
+    buildTripPlan(trip, startOffset = null) {
+        const model = this.getJetLagModel();
+        const profile = this.getProfile();
+        const origin = this.getTimeZoneOffset(trip.fromZone, trip.departDate);
+        const destination = this.getTimeZoneOffset(trip.toZone, trip.arriveDate);
+        const body = startOffset === null ? origin : startOffset;
+        
+        // Shortest way round the clock, except for long advances
+        const shift = ((destination - body) % 1440 + 1440 + 720) % 1440 - 720;
+        const direction = shift > 0 && shift <= model.maxAdvance ? 'advance' : 'delay';
+        const needed = direction === 'advance' ? shift : (shift > 0 ? 1440 - shift : -shift);
+        const sign = direction === 'advance' ? 1 : -1;
+        
+        // Caffeine stops as long before the planned bedtime as the caffeine reminder does at home
+        const cutoffDefinition = this.getReminderDefinitions().find(d => d.id === 'caffeine-cutoff');
+        const caffeineLead = Math.round(this.getHoursBeforeBedtime(this.getReminderTime(cutoffDefinition), profile.targetBedtime) * 60);
+        
+        const days = [];
+        let moved = 0;
+        const addDay = (date, phase, zone, offset, step) => {
+            const before = moved;
+            moved = Math.min(needed, moved + step);
+            
+            // Targets sit where the body clock is, read off the local clock
+            const bodyOffset = body + sign * moved;
+            const bedtime = this.addMinutesToTime(profile.targetBedtime, offset - bodyOffset);
+            const waketime = this.addMinutesToTime(profile.targetWaketime, offset - bodyOffset);
+            const morning = { from: waketime, to: this.addMinutesToTime(waketime, model.lightWindow) };
+            const evening = { from: this.addMinutesToTime(bedtime, -model.lightWindow), to: bedtime };
+            
+            days.push({
+                date,
+                phase,
+                zone,
+                offset,
+                bodyOffset,
+                bedtime,
+                waketime,
+                bedtimeShift: -sign * (moved - before),
+                remaining: needed - moved,
+                light: moved - before > 0 || moved < needed ?
+                    (direction === 'advance' ? { seek: morning, avoid: evening } : { seek: evening, avoid: morning }) : null,
+                caffeineCutoff: this.addMinutesToTime(bedtime, -caffeineLead)
+            });
+        };
+        
+        // Nights are dated by wake day, so the night before the flight ends on the
+        // departure date. Delaying at home pushes that wake-up later, so the shift
+        // before the flight stops where it would make the wake-up too late
+        const homeWake = this.timeToMinutes(this.addMinutesToTime(profile.targetWaketime, origin - body));
+        const preShift = direction === 'delay' ?
+            Math.min(needed, Math.max(0, this.timeToMinutes(trip.departTime) - model.wakeBeforeDeparture - homeWake)) : needed;
+        const preDays = Math.min(model.preTravelDays, Math.ceil(preShift / model.preTravelPerDay));
+        for (let i = preDays - 1; i >= 0; i--) {
+            addDay(this.addDays(trip.departDate, -i), 'before', trip.fromZone, origin, Math.min(model.preTravelPerDay, preShift - moved));
+        }
+        
+        // Nights spent on the plane don't move the clock
+        for (let date = this.addDays(trip.departDate, 1); date <= trip.arriveDate; date = this.addDays(date, 1)) {
+            addDay(date, 'travel', trip.toZone, destination, 0);
+        }
+        
+        let date = trip.arriveDate;
+        do {
+            date = this.addDays(date, 1);
+            addDay(date, 'after', trip.toZone, destination, direction === 'advance' ? model.advancePerDay : model.delayPerDay);
+        } while (moved < needed);
+        
+        return { trip, origin, destination, shift, direction, needed, days };
+    }
+
+    getTravelPlans() {
+        const trips = this.getTrips();
+        const profile = this.getProfile();
+        const key = JSON.stringify([this.getActiveProfileId(), trips, profile.targetBedtime, profile.targetWaketime]);
+        if (this.travelCache && this.travelCache.key === key) return this.travelCache;
+        
+        // Later trips take over overlapping days; one that starts before the
+        // previous has settled begins from wherever the body clock got to
+        const plans = [];
+        const days = new Map();
+        trips.forEach(trip => {
+            const previous = [...days.values()].filter(day => day.date < trip.departDate)
+                .sort((a, b) => a.date.localeCompare(b.date)).pop();
+            const plan = this.buildTripPlan(trip, previous && previous.remaining > 0 ? previous.bodyOffset : null);
+            plan.days.forEach(day => days.set(day.date, { ...day, tripId: trip.id }));
+            plans.push(plan);
+        });
+        
+        this.travelCache = { key, plans, days };
+        return this.travelCache;
+    }
+
+    getTravelDay(date) {
+        return this.getTravelPlans().days.get(date) || null;
+    }
+
+    getCircadianTargets(entry) {
+        // Profile targets are local clock times; during a trip they follow
+        // the body clock as it re-entrains to the new zone
+        const profile = this.getProfile();
+        const day = this.getTravelDay(entry.date);
+        if (!day) return { bedtime: profile.targetBedtime, waketime: profile.targetWaketime, travelDay: null };
+        
+        // Times logged on another clock than the plan's are compared on that clock
+        const offset = this.getTimeZoneOffset(entry.timeZone, entry.date);
+        const difference = offset === null ? 0 : offset - day.offset;
+        return {
+            bedtime: this.addMinutesToTime(day.bedtime, difference),
+            waketime: this.addMinutesToTime(day.waketime, difference),
+            travelDay: day
+        };
+    }
+
+    async addTrip() {
+        const read = id => document.getElementById(id).value.trim();
+        const trip = {
+            id: `trip-${Date.now()}`,
+            fromZone: read('tripFrom') || this.getProfile().homeTimeZone,
+            toZone: read('tripTo'),
+            departDate: read('tripDepartDate'),
+            departTime: read('tripDepartTime'),
+            arriveDate: read('tripArriveDate'),
+            arriveTime: read('tripArriveTime')
+        };
+        
+        if (!this.isValidDate(trip.departDate) || !this.isValidTime(trip.departTime) ||
+            !this.isValidDate(trip.arriveDate) || !this.isValidTime(trip.arriveTime)) {
+            alert('Please fill in the departure and arrival dates and times');
+            return;
+        }
+        
+        const badZone = [trip.fromZone, trip.toZone].find(zone => !this.isValidTimeZone(zone));
+        if (badZone !== undefined) {
+            alert(`Unknown time zone "${badZone}" (use a name like Europe/Berlin or an offset like +02:00)`);
+            return;
+        }
+        
+        // Both times are local, so compare them in UTC
+        const origin = this.getTimeZoneOffset(trip.fromZone, trip.departDate);
+        const destination = this.getTimeZoneOffset(trip.toZone, trip.arriveDate);
+        const utc = (date, time, offset) => new Date(`${date}T${time}:00Z`).getTime() - offset * 60000;
+        const hours = (utc(trip.arriveDate, trip.arriveTime, destination) - utc(trip.departDate, trip.departTime, origin)) / 3600000;
+        if (hours <= 0 || hours > 48) {
+            alert('The arrival must be after the departure and within 48 hours of it');
+            return;
+        }
+        
+        this.saveTrips([...this.getTrips(), trip]);
+        this.selectedTripId = trip.id;
+        ['tripTo', 'tripDepartDate', 'tripDepartTime', 'tripArriveDate', 'tripArriveTime'].forEach(id => document.getElementById(id).value = '');
+        await this.applyTripChange();
+    }
+
+    async removeTrip(id) {
+        if (!confirm('Remove this flight and its adjustment plan?')) return;
+        
+        this.saveTrips(this.getTrips().filter(trip => trip.id !== id));
+        if (this.selectedTripId === id) this.selectedTripId = null;
+        await this.applyTripChange();
+    }
+
+    selectTrip(id) {
+        this.selectedTripId = id;
+        this.renderTrips();
+    }
+
+    async applyTripChange() {
+        // Circadian targets moved, so stored nights need new violations and scores
+        const rescored = await this.rescoreAllEntries();
+        await this.updateHeaderStats();
+        this.updateEntryZoneHint();
+        this.renderTrips();
+        
+        const status = document.getElementById('tripStatus');
+        status.style.display = 'block';
+        status.textContent = `Trips saved. ${rescored} entries re-evaluated.`;
+    }
+
+    renderTrips() {
+        const trips = this.getTrips();
+        const today = this.getLocalDateString(new Date());
+        const home = this.getProfile().homeTimeZone;
+        document.getElementById('tripFrom').placeholder = home;
+        
+        // Show the selected trip, else the next one, else the latest
+        const selected = trips.find(trip => trip.id === this.selectedTripId) ||
+            trips.find(trip => trip.arriveDate >= today) || trips[trips.length - 1];
+        
+        document.getElementById('tripEntries').innerHTML = trips.length === 0 ? '<p class="trend-empty">No flights yet</p>' :
+            trips.map(trip => `
+                <div class="entry-row trip-row${selected && trip.id === selected.id ? ' selected' : ''}">
+                    <span class="trip-route">${this.escapeHTML(trip.fromZone)} to ${this.escapeHTML(trip.toZone)}</span>
+                    <span class="import-note">${trip.departDate} ${trip.departTime} to ${trip.arriveDate} ${trip.arriveTime}</span>
+                    <button type="button" class="btn-secondary" onclick="app.selectTrip('${trip.id}')">Plan</button>
+                    <button type="button" class="btn-remove" onclick="app.removeTrip('${trip.id}')">Remove</button>
+                </div>
+            `).join('');
+        
+        this.renderTripPlan(selected);
+    }
+
+    renderTripPlan(trip) {
+        const container = document.getElementById('tripPlan');
+        if (!trip) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const { plans, days } = this.getTravelPlans();
+        const plan = plans.find(p => p.trip.id === trip.id);
+        const hours = minutes => this.formatMinutes(Math.abs(minutes));
+        const describeShift = minutes => minutes === 0 ? 'no change' : `${hours(minutes)} ${minutes < 0 ? 'earlier' : 'later'}`;
+        const phases = { before: 'Before travel', travel: 'Travel', after: 'After arrival' };
+        
+        const summary = plan.needed === 0 ?
+            'Same clock time at both ends: no adjustment needed.' :
+            `${this.formatUtcOffset(plan.origin)} to ${this.formatUtcOffset(plan.destination)}: ` +
+            `the body clock ${plan.direction === 'advance' ? 'advances' : 'delays'} ${hours(plan.needed)}, ` +
+            `about ${plan.days.filter(day => day.phase !== 'travel').length} days including ${plan.days.filter(day => day.phase === 'before').length} before the flight.`;
+        
+        // A later overlapping trip takes over some of these days
+        const rows = plan.days.map(day => {
+            const overridden = days.get(day.date).tripId !== trip.id;
+            return `
+                <div class="trip-day${overridden ? ' superseded' : ''}">
+                    <span><strong>${day.date}</strong><br><span class="import-note">${phases[day.phase]}</span></span>
+                    <span>Bed ${day.bedtime}, wake ${day.waketime}<br><span class="import-note">${this.escapeHTML(day.zone)}, ${describeShift(day.bedtimeShift)}</span></span>
+                    <span>${day.light ? `Seek light ${day.light.seek.from}-${day.light.seek.to}<br><span class="import-note">Avoid light ${day.light.avoid.from}-${day.light.avoid.to}</span>` : 'Normal daylight'}</span>
+                    <span>Caffeine before ${day.caffeineCutoff}${day.phase === 'after' && day.date === this.addDays(trip.arriveDate, 1) ?
+                        `<br><span class="import-note">Landed ${trip.arriveTime}: stay up until ${day.bedtime}</span>` : ''}</span>
+                </div>
+            `;
+        }).join('');
+        
+        container.innerHTML = `
+            <p class="report-period-label">${summary} Times are local to each day's zone; nights in the plan are scored against it.</p>
+            <div class="trip-day trip-day-header">
+                <span>Night (wake date)</span>
+                <span>Sleep</span>
+                <span>Light</span>
+                <span>Caffeine</span>
+            </div>
+            ${rows}
+        `;
+    }
+
+    // ========================================================================
+    // CAFFEINE TRACKER
+    // ========================================================================
+
+    getCaffeinePresets() {
+        // Typical caffeine per serving
+        return {
+            espresso: { label: 'Espresso (single shot)', mg: 63 },
+            'filter-coffee': { label: 'Filter coffee (240ml)', mg: 95 },
+            tea: { label: 'Black tea (240ml)', mg: 47 },
+            'energy-drink': { label: 'Energy drink (250ml)', mg: 80 },
+            'pre-workout': { label: 'Pre-workout (1 scoop)', mg: 200 },
+            custom: { label: 'Custom', mg: null }
+        };
+    }
+
+    getCaffeineHalfLife(profile = this.getProfile()) {
+        // Personal modifiers on elimination half-life
+        let halfLife = profile.caffeineHalfLife;
+        if (profile.caffeinePregnant) halfLife *= 2; // slows further each trimester
+        if (profile.caffeineSmoker) halfLife *= 0.6; // CYP1A2 induction
+        if (profile.caffeineOralContraceptives) halfLife *= 1.7;
+        return halfLife;
+    }
+
+    getCaffeineAmount(doses, hours, halfLife) {
+        // One-compartment model with first-order absorption (peak ~45 min
+        // after intake) and first-order elimination (Bateman function)
+        const ka = 4.6; // absorption rate, per hour
+        const ke = Math.LN2 / halfLife;
+        
+        return doses.reduce((sum, dose) => {
+            const t = hours - dose.hours;
+            if (t <= 0) return sum;
+            return sum + dose.mg * ka / (ka - ke) * (Math.exp(-ke * t) - Math.exp(-ka * t));
+        }, 0);
+    }
+
+    hasCaffeineAfter(entry, time) {
+        // Compare on the sleep timeline so a 00:30 espresso counts as later than 14:00
+        const cutoff = this.getHoursFromBedtime(time, entry.bedtime, entry.waketime);
+        return entry.caffeine.some(c => this.getHoursFromBedtime(c.time, entry.bedtime, entry.waketime) >= cutoff);
+    }
+
+    getDayExposures() {
+        // Shared by the calendar filters and the insight factors, which label them differently
+        return {
+            'caffeine-after-14': entry => this.hasCaffeineAfter(entry, '14:00'),
+            alcohol: entry => entry.alcohol.length > 0,
+            nap: entry => entry.naps.length > 0
+        };
+    }
+
+    calculateCaffeinePenalty(caffeineEntries, bedtime, waketime) {
+        if (caffeineEntries.length === 0) return { penalty: 0, remaining: 0, peak: 0, curve: [] };
+        
+        const halfLife = this.getCaffeineHalfLife(); // hours
+        const sleepHours = this.calculateSleepDuration(bedtime, waketime) / 60;
+        
+        // Intake times on the sleep timeline: hours relative to bedtime
+        const doses = caffeineEntries.map(entry => ({
+            hours: this.getHoursFromBedtime(entry.time, bedtime, waketime),
+            mg: entry.mg
+        }));
+        
+        const remaining = this.getCaffeineAmount(doses, 0, halfLife);
+        
+        // Sample from six hours before bed through the whole sleep window,
+        // so intakes after bedtime still count at their peak
+        const curve = [];
+        for (let hours = -6; hours <= sleepHours; hours += 0.25) {
+            curve.push({ hours, mg: this.getCaffeineAmount(doses, hours, halfLife) });
+        }
+        const peak = Math.max(remaining, ...curve.filter(p => p.hours >= 0).map(p => p.mg));
+        
+        // Penalty calculation: 0.15 per mg in the body while asleep
+        const penalty = peak * 0.15;
+        
+        return { penalty, remaining, peak, curve };
+    }
+
+    renderCaffeineCurve(entry) {
+        const container = document.getElementById('caffeineCurve');
+        const { curve, peak } = this.calculateCaffeinePenalty(entry.caffeine, entry.bedtime, entry.waketime);
+        
+        if (curve.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const limit = this.getRules().find(r => r.id === 'caffeine-at-bedtime');
+        const yMax = Math.max(50, ...curve.map(p => p.mg), limit ? limit.threshold || 0 : 0) * 1.1;
+        const sleepHours = this.calculateSleepDuration(entry.bedtime, entry.waketime) / 60;
+        
+        container.innerHTML = `
+            <h3>Estimated Caffeine (peak while asleep ${Math.round(peak)}mg, half-life ${this.getCaffeineHalfLife().toFixed(1)}h)</h3>
+            ${this.renderLineChart({
+                series: [{ points: curve.map(p => ({ x: p.hours, y: p.mg })), color: 'var(--warning)' }],
+                xMin: curve[0].hours,
+                xMax: curve[curve.length - 1].hours,
+                yMax,
+                yFormat: v => `${Math.round(v)}mg`,
+                xTicks: curve.filter(p => p.hours % 2 === 0)
+                    .map(p => ({ x: p.hours, label: this.addMinutesToTime(entry.bedtime, p.hours * 60) })),
+                bands: [{ from: 0, to: sleepHours, label: 'Asleep' }],
+                guides: limit && limit.enabled && typeof limit.threshold === 'number' ?
+                    [{ y: limit.threshold, label: `limit ${limit.threshold}mg` }] : []
+            })}
+        `;
+    }
+
+    // ========================================================================
+    // ALCOHOL TRACKER
+    // ========================================================================
+
+    getAlcoholDrinks() {
+        // Standard servings; grams of ethanol = ml * ABV * 0.789 g/ml
+        return {
+            beer: { label: 'Beer (500ml, 5%)', volumeMl: 500, abv: 5 },
+            wine: { label: 'Wine glass (175ml, 12%)', volumeMl: 175, abv: 12 },
+            spirit: { label: 'Spirit shot (40ml, 40%)', volumeMl: 40, abv: 40 },
+            custom: { label: 'Custom', volumeMl: null, abv: null }
+        };
+    }
+
+    getAlcoholGrams(drink) {
+        if (drink.volumeMl && drink.abv) {
+            return drink.volumeMl * drink.abv / 100 * 0.789;
+        }
+        return drink.units * 8; // UK unit = 8g ethanol
+    }
+
+    getWidmarkFactor(profile = this.getProfile()) {
+        // Widmark r: share of body mass that alcohol distributes into
+        if (profile.sex === 'male') return 0.68;
+        if (profile.sex === 'female') return 0.55;
+        return profile.widmarkFactor;
+    }
+
+    calculateBACCurve(alcoholEntries, sleepOnset, waketime) {
+        const profile = this.getProfile();
+        const metabolicRate = 0.015; // BAC (g/dL) eliminated per hour
+        const absorptionHours = 0.75; // each drink absorbs evenly over 45 min
+        const step = 5 / 60; // hours
+        const distribution = this.getWidmarkFactor(profile) * profile.bodyWeightKg * 10;
+        
+        // Drinks on the sleep timeline, oldest first
+        const drinks = alcoholEntries
+            .map(entry => ({
+                hours: this.getHoursFromBedtime(entry.time, sleepOnset, waketime),
+                grams: this.getAlcoholGrams(entry)
+            }))
+            .sort((a, b) => a.hours - b.hours);
+        
+        const sleepHours = this.calculateSleepDuration(sleepOnset, waketime) / 60;
+        const start = Math.min(-6, drinks[0].hours);
+        const curve = [];
+        let bac = 0;
+        
+        // One cumulative curve: absorption from every drink in progress,
+        // zero-order elimination only while there is alcohol to eliminate
+        for (let hours = start; hours <= sleepHours + 1e-9; hours += step) {
+            drinks.forEach(drink => {
+                const absorbed = Math.min(hours + step, drink.hours + absorptionHours) - Math.max(hours, drink.hours);
+                if (absorbed > 0) {
+                    bac += drink.grams * (absorbed / absorptionHours) / distribution;
+                }
+            });
+            bac = Math.max(0, bac - metabolicRate * step);
+            curve.push({ hours: hours + step, bac });
+        }
+        
+        return curve;
+    }
+
+    calculateAlcoholPenalty(alcoholEntries, sleepOnset, waketime) {
+        if (alcoholEntries.length === 0) {
+            return { penalty: 0, fragmentationPenalty: 0, remainingBAC: 0, hoursInBlood: 0, peakBAC: 0, curve: [] };
+        }
+        
+        const curve = this.calculateBACCurve(alcoholEntries, sleepOnset, waketime);
+        const step = curve.length > 1 ? curve[1].hours - curve[0].hours : 0;
+        const atOnset = curve.reduce((best, p) => Math.abs(p.hours) < Math.abs(best.hours) ? p : best, curve[0]);
+        const asleep = curve.filter(p => p.hours > 0);
+        
+        // Hours of sleep with alcohol still in the blood fragment the second half of the night
+        const hoursInBlood = asleep.filter(p => p.bac > 0).length * step;
+        const fragmentationPenalty = hoursInBlood * 6;
+        
+        // BAC penalty: 0.01% at sleep onset costs 4 points
+        const bacPenalty = atOnset.bac * 400;
+        
+        return {
+            penalty: bacPenalty + fragmentationPenalty,
+            fragmentationPenalty,
+            remainingBAC: atOnset.bac,
+            hoursInBlood,
+            peakBAC: Math.max(...curve.map(p => p.bac)),
+            curve
+        };
+    }
+
+    renderAlcoholCurve(entry) {
+        const container = document.getElementById('alcoholCurve');
+        const onset = this.getSleepOnset(entry);
+        const { curve, remainingBAC, hoursInBlood, peakBAC } =
+            this.calculateAlcoholPenalty(entry.alcohol, onset, entry.waketime);
+        
+        if (curve.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const sleepHours = this.calculateSleepDuration(onset, entry.waketime) / 60;
+        
+        container.innerHTML = `
+            <h3>Estimated BAC (${remainingBAC.toFixed(3)}% at sleep onset, ${hoursInBlood.toFixed(1)}h in blood while asleep)</h3>
+            ${this.renderLineChart({
+                series: [{ points: curve.map(p => ({ x: p.hours, y: p.bac })), color: 'var(--danger)' }],
+                xMin: curve[0].hours,
+                xMax: curve[curve.length - 1].hours,
+                yMax: Math.max(0.02, peakBAC) * 1.1,
+                yFormat: v => `${v.toFixed(3)}%`,
+                xTicks: curve.filter(p => Math.abs(p.hours % 2) < 1e-6)
+                    .map(p => ({ x: p.hours, label: this.addMinutesToTime(onset, Math.round(p.hours * 60)) })),
+                bands: [{ from: 0, to: sleepHours, label: 'Asleep' }]
+            })}
+        `;
+    }
+
+    // ========================================================================
+    // NAP ENGINE
+    // ========================================================================
+
+    getNapMinutes(naps) {
+        return naps.reduce((sum, nap) => sum + this.calculateSleepDuration(nap.startTime, nap.endTime), 0);
+    }
+
+    calculateNapPenalty(napEntries, bedtime) {
+        if (napEntries.length === 0) return { penalty: 0, minutes: 0 };
+        
+        // Late naps share the late-nap rule's lead time so the score and the rule agree
+        const rule = this.getRules().find(r => r.id === 'late-nap');
+        const lateLead = rule && typeof rule.threshold === 'number' ? rule.threshold : 6;
+        
+        let totalPenalty = 0;
+        
+        napEntries.forEach(entry => {
+            const minutes = this.calculateSleepDuration(entry.startTime, entry.endTime);
+            const hoursBefore = this.getHoursBeforeBedtime(entry.endTime, bedtime);
+            
+            let penalty = 0;
+            
+            // Long naps reach deep sleep: grogginess and less sleep pressure
+            if (minutes > 30) {
+                penalty += (minutes - 30) / 10 * 2;
+            }
+            
+            // Naps close to bedtime bleed off sleep pressure and delay sleep onset
+            if (hoursBefore < lateLead) {
+                penalty += (lateLead - hoursBefore) * 4;
+            }
+            
+            totalPenalty += penalty;
+        });
+        
+        return { penalty: totalPenalty, minutes: this.getNapMinutes(napEntries) };
+    }
+
+    // ========================================================================
+    // EXERCISE ENGINE
+    // ========================================================================
+
+    calculateExercisePenalty(exerciseEntries, bedtime) {
+        if (exerciseEntries.length === 0) return { penalty: 0 };
+        
+        const [bedHour, bedMin] = bedtime.split(':').map(Number);
+        const bedtimeMinutes = bedHour * 60 + bedMin;
+        
+        let totalPenalty = 0;
+        
+        exerciseEntries.forEach(entry => {
+            const [entryHour, entryMin] = entry.time.split(':').map(Number);
+            let entryMinutes = entryHour * 60 + entryMin;
+            
+            let hoursBefore;
+            if (entryMinutes > bedtimeMinutes) {
+                hoursBefore = (bedtimeMinutes + 1440 - entryMinutes) / 60;
+            } else {
+                hoursBefore = (bedtimeMinutes - entryMinutes) / 60;
+            }
+            
+            let penalty = 0;
+            
+            // High intensity within 3 hours
+            if (entry.intensity === 'high' && hoursBefore < 3) {
+                penalty += (3 - hoursBefore) * 10;
+            }
+            
+            // Cardio within 2 hours
+            if (entry.type === 'cardio' && hoursBefore < 2) {
+                penalty += 15;
+            }
+            
+            // Medium intensity within 2 hours
+            if (entry.intensity === 'medium' && hoursBefore < 2) {
+                penalty += (2 - hoursBefore) * 5;
+            }
+            
+            totalPenalty += penalty;
+        });
+        
+        return { penalty: totalPenalty };
+    }
+
+    // ========================================================================
+    // SCREEN ENGINE
+    // ========================================================================
+
+    calculateScreenPenalty(screenEntries, bedtime) {
+        if (screenEntries.length === 0) return { penalty: 0 };
+        
+        const [bedHour, bedMin] = bedtime.split(':').map(Number);
+        const bedtimeMinutes = bedHour * 60 + bedMin;
+        
+        let totalPenalty = 0;
+        
+        screenEntries.forEach(entry => {
+            const [endHour, endMin] = entry.endTime.split(':').map(Number);
+            let endMinutes = endHour * 60 + endMin;
+            
+            let hoursBefore;
+            if (endMinutes > bedtimeMinutes) {
+                hoursBefore = (bedtimeMinutes + 1440 - endMinutes) / 60;
+            } else {
+                hoursBefore = (bedtimeMinutes - endMinutes) / 60;
+            }
+            
+            let penalty = 0;
+            
+            // Blue light within 2 hours
+            if (hoursBefore < 2) {
+                penalty += 20;
+            }
+            
+            // Active content within 1 hour
+            if (entry.contentType === 'active' && hoursBefore < 1) {
+                penalty += 30;
+            }
+            
+            // Moderate content within 1 hour
+            if (entry.contentType === 'moderate' && hoursBefore < 1) {
+                penalty += 15;
+            }
+            
+            totalPenalty += penalty;
+        });
+        
+        return { penalty: totalPenalty };
+    }
+
+    // ========================================================================
+    // MEAL ENGINE
+    // ========================================================================
+
+    calculateMealPenalty(mealEntries, bedtime) {
+        if (mealEntries.length === 0) return { penalty: 0 };
+        
+        const [bedHour, bedMin] = bedtime.split(':').map(Number);
+        const bedtimeMinutes = bedHour * 60 + bedMin;
+        
+        let totalPenalty = 0;
+        
+        mealEntries.forEach(entry => {
+            const [mealHour, mealMin] = entry.time.split(':').map(Number);
+            let mealMinutes = mealHour * 60 + mealMin;
+            
+            let hoursBefore;
+            if (mealMinutes > bedtimeMinutes) {
+                hoursBefore = (bedtimeMinutes + 1440 - mealMinutes) / 60;
+            } else {
+                hoursBefore = (bedtimeMinutes - mealMinutes) / 60;
+            }
+            
+            let penalty = 0;
+            
+            // Large meal within 3 hours
+            if (entry.type === 'large' && hoursBefore < 3) {
+                penalty += (3 - hoursBefore) * 8;
+            }
+            
+            // High fat within 4 hours
+            if (entry.macros === 'high-fat' && hoursBefore < 4) {
+                penalty += (4 - hoursBefore) * 5;
+            }
+            
+            // High protein within 2 hours (can disturb sleep)
+            if (entry.macros === 'high-protein' && hoursBefore < 2) {
+                penalty += 10;
+            }
+            
+            totalPenalty += penalty;
+        });
+        
+        return { penalty: totalPenalty };
+    }
+
+    // ========================================================================
+    // ENVIRONMENT ENGINE
+    // ========================================================================
+
+    calculateEnvironmentScore(environment) {
+        let bonus = 0;
+        let penalties = 0;
+        
+        // Temperature scoring (optimal: 60-67°F)
+        if (environment.temp >= 60 && environment.temp <= 67) {
+            bonus += 5;
+        } else if (environment.temp < 60) {
+            penalties += (60 - environment.temp) * 2;
+        } else if (environment.temp > 67) {
+            penalties += (environment.temp - 67) * 2;
+        }
+        
+        // Light scoring (optimal: < 50 lux)
+        if (environment.light < 50) {
+            bonus += 5;
+        } else {
+            penalties += (environment.light - 50) * 0.1;
+        }
+        
+        // Noise scoring (optimal: < 30 dB)
+        if (environment.noise < 30) {
+            bonus += 5;
+        } else {
+            penalties += (environment.noise - 30) * 0.5;
+        }
+        
+        // Bedroom only usage
+        if (environment.bedroomOnly) {
+            bonus += 5;
+        }
+        
+        return { bonus, penalties };
+    }
+
+    // ========================================================================
+    // RULE ENGINE
+    // ========================================================================
+
+    getDefaultRules() {
+        // threshold: null means the limit comes from the sleep profile (profileKey)
+        return [
+            {
+                id: 'min-sleep-duration',
+                name: 'Minimum sleep duration',
+                metric: 'sleepDuration',
+                comparator: 'below',
+                threshold: null,
+                profileKey: 'minSleep',
+                severity: 'critical',
+                enabled: true,
+                message: 'Sleep duration {measured} is below minimum {limit}'
+            },
+            {
+                id: 'low-sleep-efficiency',
+                name: 'Low sleep efficiency',
+                metric: 'sleepEfficiency',
+                comparator: 'below',
+                threshold: 85,
+                severity: 'warning',
+                enabled: true,
+                message: 'Sleep efficiency {measured} (limit: {limit})'
+            },
+            {
+                id: 'caffeine-at-bedtime',
+                name: 'Caffeine during sleep',
+                metric: 'caffeineAtBedtime',
+                comparator: 'above',
+                threshold: 50,
+                severity: 'warning',
+                enabled: true,
+                message: 'Caffeine in body during sleep: {measured} (limit: {limit})'
+            },
+            {
+                id: 'alcohol-units',
+                name: 'Alcohol units',
+                metric: 'alcoholUnits',
+                comparator: 'above',
+                threshold: 2,
+                severity: 'warning',
+                enabled: true,
+                message: 'Alcohol consumption: {measured} (limit: {limit})'
+            },
+            {
+                id: 'bac-at-sleep-onset',
+                name: 'Alcohol at sleep onset',
+                metric: 'bacAtOnset',
+                comparator: 'above',
+                threshold: 0.03,
+                severity: 'warning',
+                enabled: true,
+                message: 'Estimated BAC at sleep onset {measured} (limit: {limit})'
+            },
+            {
+                id: 'late-nap',
+                name: 'Late nap',
+                metric: 'napLead',
+                comparator: 'below',
+                threshold: 6,
+                severity: 'warning',
+                enabled: true,
+                message: 'Nap ended within {limit} of bedtime ({measured} before)'
+            },
+            {
+                id: 'late-high-intensity-exercise',
+                name: 'Late high intensity exercise',
+                metric: 'highIntensityExerciseLead',
+                comparator: 'below',
+                threshold: 3,
+                severity: 'warning',
+                enabled: true,
+                message: 'High intensity exercise within {limit} of bedtime ({measured} before)'
+            },
+            {
+                id: 'late-screen',
+                name: 'Late screen time',
+                metric: 'screenLead',
+                comparator: 'below',
+                threshold: 60,
+                severity: 'warning',
+                enabled: true,
+                message: 'Screen time within {limit} of bedtime ({measured} before)'
+            },
+            {
+                id: 'bedtime-deviation',
+                name: 'Bedtime deviation',
+                metric: 'bedtimeDeviation',
+                comparator: 'above',
+                threshold: 120,
+                severity: 'warning',
+                enabled: true,
+                message: 'Bedtime {measured} from target (limit: {limit})'
+            },
+            {
+                id: 'late-heavy-meal',
+                name: 'Late heavy meal',
+                metric: 'heavyMealLead',
+                comparator: 'below',
+                threshold: 3,
+                severity: 'warning',
+                enabled: false,
+                message: 'Heavy meal within {limit} of bedtime ({measured} before)'
+            }
+        ];
+    }
+
+    getRuleMetrics() {
+        // Each metric returns one measured value per item it applies to
+        const minutes = v => `${Math.round(v)}min`;
+        const hours = v => `${Math.round(v * 10) / 10}h`;
+        
+        return {
+            sleepDuration: {
+                label: 'Total sleep time',
+                unit: 'min',
+                format: v => this.formatMinutes(v),
+                measure: entry => [entry.totalSleepTime]
+            },
+            sleepEfficiency: {
+                label: 'Sleep efficiency',
+                unit: '%',
+                format: v => `${Math.round(v)}%`,
+                measure: entry => [entry.sleepEfficiency]
+            },
+            sleepLatency: {
+                label: 'Sleep onset latency',
+                unit: 'min',
+                format: minutes,
+                measure: entry => [entry.sleepLatency]
+            },
+            caffeineAtBedtime: {
+                label: 'Caffeine in body while asleep (peak)',
+                unit: 'mg',
+                format: v => `${Math.round(v)}mg`,
+                measure: entry => [this.calculateCaffeinePenalty(entry.caffeine, entry.bedtime, entry.waketime).peak]
+            },
+            alcoholUnits: {
+                label: 'Alcohol units',
+                unit: 'units',
+                format: v => `${v} units`,
+                measure: entry => [entry.alcohol.reduce((sum, a) => sum + a.units, 0)]
+            },
+            napLead: {
+                label: 'Nap end before bed',
+                unit: 'h',
+                format: hours,
+                measure: entry => entry.naps.map(nap => this.getHoursBeforeBedtime(nap.endTime, entry.bedtime))
+            },
+            napMinutes: {
+                label: 'Total nap time',
+                unit: 'min',
+                format: minutes,
+                measure: entry => [this.getNapMinutes(entry.naps)]
+            },
+            bacAtOnset: {
+                label: 'BAC at sleep onset',
+                unit: '%',
+                format: v => `${v.toFixed(3)}%`,
+                measure: entry => [this.calculateAlcoholPenalty(entry.alcohol, this.getSleepOnset(entry), entry.waketime).remainingBAC]
+            },
+            alcoholHoursAsleep: {
+                label: 'Hours asleep with alcohol in blood',
+                unit: 'h',
+                format: hours,
+                measure: entry => [this.calculateAlcoholPenalty(entry.alcohol, this.getSleepOnset(entry), entry.waketime).hoursInBlood]
+            },
+            highIntensityExerciseLead: {
+                label: 'High intensity exercise before bed',
+                unit: 'h',
+                format: hours,
+                measure: entry => entry.exercise
+                    .filter(ex => ex.intensity === 'high')
+                    .map(ex => this.getHoursBeforeBedtime(ex.time, entry.bedtime))
+            },
+            exerciseLead: {
+                label: 'Any exercise before bed',
+                unit: 'h',
+                format: hours,
+                measure: entry => entry.exercise.map(ex => this.getHoursBeforeBedtime(ex.time, entry.bedtime))
+            },
+            screenLead: {
+                label: 'Screen end before bed',
+                unit: 'min',
+                format: minutes,
+                measure: entry => entry.screens.map(s => this.getHoursBeforeBedtime(s.endTime, entry.bedtime) * 60)
+            },
+            heavyMealLead: {
+                label: 'Large or high-fat meal before bed',
+                unit: 'h',
+                format: hours,
+                measure: entry => entry.meals
+                    .filter(m => m.type === 'large' || m.macros === 'high-fat')
+                    .map(m => this.getHoursBeforeBedtime(m.time, entry.bedtime))
+            },
+            bedtimeDeviation: {
+                label: 'Bedtime deviation from target',
+                unit: 'min',
+                format: minutes,
+                measure: entry => [this.calculateCircadianAlignment(entry).bedDeviation]
+            },
+            wakeDeviation: {
+                label: 'Wake time deviation from target',
+                unit: 'min',
+                format: minutes,
+                measure: entry => [this.calculateCircadianAlignment(entry).wakeDeviation]
+            }
+        };
+    }
+
+    getRules() {
+        const stored = localStorage.getItem(this.storageKey('sleepSystemRules'));
+        const saved = stored ? JSON.parse(stored) : [];
+        const savedById = new Map(saved.map(r => [r.id, r]));
+        const defaults = this.getDefaultRules();
+        const defaultIds = new Set(defaults.map(r => r.id));
+        
+        // Built-in rules keep their definition but take saved overrides; custom rules are stored whole
+        return [
+            ...defaults.map(rule => ({ ...rule, ...savedById.get(rule.id), builtin: true })),
+            ...saved.filter(rule => !defaultIds.has(rule.id)).map(rule => ({ ...rule, builtin: false }))
+        ];
+    }
+
+    saveRules(rules) {
+        localStorage.setItem(this.storageKey('sleepSystemRules'), JSON.stringify(rules.map(rule => {
+            const stored = { ...rule };
+            delete stored.builtin;
+            return stored;
+        })));
+    }
+
+    getRuleLimit(rule, profile) {
+        if (rule.threshold === null && rule.profileKey) {
+            return profile[rule.profileKey];
+        }
+        return rule.threshold;
+    }
+
+    evaluateRules(entry) {
+        const violations = [];
+        const metrics = this.getRuleMetrics();
+        const profile = this.getProfile();
+        
+        this.getRules().filter(rule => rule.enabled).forEach(rule => {
+            const metric = metrics[rule.metric];
+            const limit = this.getRuleLimit(rule, profile);
+            if (!metric || typeof limit !== 'number') return;
+            
+            metric.measure(entry).forEach(measured => {
+                const breached = rule.comparator === 'below' ? measured < limit : measured > limit;
+                if (breached) {
+                    violations.push({
+                        ruleId: rule.id,
+                        severity: rule.severity,
+                        measured: Math.round(measured * 10000) / 10000,
+                        limit
+                    });
+                }
+            });
+        });
+        
+        return violations;
+    }
+
+    normalizeViolation(violation) {
+        if (typeof violation !== 'string') return violation;
+        
+        // Entries saved before rules were data stored plain message strings
+        const legacyPrefixes = [
+            ['CRITICAL: Sleep duration', 'min-sleep-duration', 'critical'],
+            ['Caffeine remaining at bedtime', 'caffeine-at-bedtime', 'warning'],
+            ['Alcohol consumption', 'alcohol-units', 'warning'],
+            ['High intensity exercise', 'late-high-intensity-exercise', 'warning'],
+            ['Screen time within', 'late-screen', 'warning'],
+            ['Bedtime ', 'bedtime-deviation', 'warning']
+        ];
+        const match = legacyPrefixes.find(([prefix]) => violation.startsWith(prefix));
+        
+        return {
+            ruleId: match ? match[1] : 'legacy',
+            severity: match ? match[2] : 'warning',
+            measured: null,
+            limit: null,
+            message: violation
+        };
+    }
+
+    formatViolation(violation, rules = this.getRules()) {
+        const v = this.normalizeViolation(violation);
+        if (v.message) return v.message;
+        
+        const rule = rules.find(r => r.id === v.ruleId);
+        const metric = rule && this.getRuleMetrics()[rule.metric];
+        if (!metric) return `${v.ruleId}: ${v.measured} (limit: ${v.limit})`;
+        
+        return rule.message
+            .replace(/\{measured\}/g, metric.format(v.measured))
+            .replace(/\{limit\}/g, metric.format(v.limit));
+    }
+
+    getRuleName(ruleId, rules = this.getRules()) {
+        const rule = rules.find(r => r.id === ruleId);
+        if (rule) return rule.name;
+        return ruleId === 'legacy' ? 'Other' : ruleId;
+    }
+
+    countViolationsByRule(entries) {
+        const violationCount = {};
+        entries.forEach(e => {
+            e.violations.forEach(v => {
+                const { ruleId } = this.normalizeViolation(v);
+                violationCount[ruleId] = (violationCount[ruleId] || 0) + 1;
+            });
+        });
+        return violationCount;
+    }
+
+    // ========================================================================
+    // RULE SETTINGS
+    // ========================================================================
+
+    renderRuleSettings() {
+        const container = document.getElementById('ruleEntries');
+        container.innerHTML = '';
+        this.getRules().forEach(rule => this.addRuleRow(rule));
+    }
+
+    addRuleRow(rule = null) {
+        const container = document.getElementById('ruleEntries');
+        const profile = this.getProfile();
+        const metrics = this.getRuleMetrics();
+        
+        rule = rule || {
+            id: `custom-${Date.now()}`,
+            name: '',
+            metric: 'sleepDuration',
+            comparator: 'below',
+            threshold: 0,
+            severity: 'warning',
+            enabled: true,
+            builtin: false,
+            message: '{measured} (limit: {limit})'
+        };
+        
+        const row = document.createElement('div');
+        row.className = 'entry-row rule-row';
+        row.dataset.ruleId = rule.id;
+        row.dataset.builtin = rule.builtin;
+        if (rule.profileKey) row.dataset.profileKey = rule.profileKey;
+        
+        row.innerHTML = `
+            <label class="checkbox-label">
+                <input type="checkbox" class="rule-enabled" ${rule.enabled ? 'checked' : ''}>
+                On
+            </label>
+            <label>
+                Name
+                <input type="text" class="rule-name" required>
+            </label>
+            <label>
+                Metric
+                <select class="rule-metric" ${rule.builtin ? 'disabled' : ''}>
+                    ${Object.entries(metrics).map(([id, m]) =>
+                        `<option value="${id}">${m.label} (${m.unit})</option>`).join('')}
+                </select>
+            </label>
+            <label>
+                Fires when
+                <select class="rule-comparator">
+                    <option value="below">Below</option>
+                    <option value="above">Above</option>
+                </select>
+            </label>
+            <label>
+                Threshold
+                <input type="number" class="rule-threshold" step="any"
+                    ${rule.profileKey ? `placeholder="Profile (${profile[rule.profileKey]})"` : 'required'}>
+            </label>
+            <label>
+                Severity
+                <select class="rule-severity">
+                    <option value="critical">Critical</option>
+                    <option value="warning">Warning</option>
+                    <option value="info">Info</option>
+                </select>
+            </label>
+            <label class="rule-message-label">
+                Message ({measured}, {limit})
+                <input type="text" class="rule-message" required>
+            </label>
+            ${rule.builtin ? '' : '<button type="button" class="btn-remove" onclick="this.parentElement.remove()">Remove</button>'}
+        `;
+        
+        row.querySelector('.rule-name').value = rule.name;
+        row.querySelector('.rule-metric').value = rule.metric;
+        row.querySelector('.rule-comparator').value = rule.comparator;
+        row.querySelector('.rule-threshold').value = rule.threshold === null ? '' : rule.threshold;
+        row.querySelector('.rule-severity').value = rule.severity;
+        row.querySelector('.rule-message').value = rule.message;
+        
+        container.appendChild(row);
+    }
+
+    async saveRuleSettings() {
+        const rules = [];
+        const errors = [];
+        
+        document.querySelectorAll('#ruleEntries .rule-row').forEach(row => {
+            const thresholdValue = row.querySelector('.rule-threshold').value;
+            const rule = {
+                id: row.dataset.ruleId,
+                name: row.querySelector('.rule-name').value.trim(),
+                metric: row.querySelector('.rule-metric').value,
+                comparator: row.querySelector('.rule-comparator').value,
+                threshold: thresholdValue === '' ? null : parseFloat(thresholdValue),
+                severity: row.querySelector('.rule-severity').value,
+                enabled: row.querySelector('.rule-enabled').checked,
+                message: row.querySelector('.rule-message').value.trim(),
+                builtin: row.dataset.builtin === 'true'
+            };
+            if (row.dataset.profileKey) rule.profileKey = row.dataset.profileKey;
+            
+            if (!rule.name || !rule.message) {
+                errors.push(`Rule "${rule.name || rule.id}" needs a name and a message`);
+            } else if (rule.threshold === null ? !rule.profileKey : isNaN(rule.threshold)) {
+                errors.push(`Rule "${rule.name}" needs a numeric threshold`);
+            }
+            
+            rules.push(rule);
+        });
+        
+        if (errors.length > 0) {
+            alert(errors.join('\n'));
+            return;
+        }
+        
+        this.saveRules(rules);
+        
+        // Stored violations must reflect the new rule set
+        const rescored = await this.rescoreAllEntries();
+        await this.updateHeaderStats();
+        this.renderReminderSettings();
+        this.scheduleReminders();
+        
+        const status = document.getElementById('ruleStatus');
+        status.style.display = 'block';
+        status.textContent = `Rules saved. ${rescored} entries re-evaluated.`;
+    }
+
+    // ========================================================================
+    // SCORING ENGINE
+    // ========================================================================
+
+    calculateQualityScore(entry) {
+        let baseScore = 100;
+        const breakdown = {};
+        const { minSleep, sleepNeed } = this.getProfile();
+        const maxSleep = sleepNeed + 60;
+        
+        // Sleep duration penalty (actual sleep, not time in bed)
+        const duration = entry.totalSleepTime;
+        let durationPenalty = 0;
+        
+        if (duration < minSleep) {
+            durationPenalty = (minSleep - duration) / 60 * 15;
+        } else if (duration > maxSleep) {
+            durationPenalty = (duration - maxSleep) / 60 * 10;
+        }
+        
         breakdown.sleepDuration = {
-            value: Math.floor(duration / 60) + 'h ' + (duration % 60) + 'm',
+            value: `${Math.floor(duration / 60)}h ${duration % 60}m asleep (${this.formatMinutes(entry.timeInBed)} in bed)`,
             penalty: -Math.round(durationPenalty)
         };
         
-        // Sleep debt penalty
-        const debtPenalty = (entry.sleepDebt / 60) * 5;
-        breakdown.sleepDebt = {
-            value: Math.floor(entry.sleepDebt / 60) + 'h ' + (entry.sleepDebt % 60) + 'm',
-            penalty: -Math.round(debtPenalty)
-        };
+        // Sleep efficiency penalty (below 85% is the usual insomnia threshold)
+        const efficiencyPenalty = Math.max(0, 85 - entry.sleepEfficiency) * 0.6;
+        breakdown.sleepEfficiency = {
+            value: `${entry.sleepEfficiency}%, ${entry.sleepLatency}m latency, ${entry.awakenings} awakenings`,
+            penalty: -Math.round(efficiencyPenalty)
+        };
+        
+        // Sleep debt penalty
+        const debtPenalty = (entry.sleepDebt / 60) * 5;
+        breakdown.sleepDebt = {
+            value: Math.floor(entry.sleepDebt / 60) + 'h ' + (entry.sleepDebt % 60) + 'm',
+            penalty: -Math.round(debtPenalty)
+        };
+        
+        // Circadian penalty
+        const circadian = this.calculateCircadianAlignment(entry);
+        breakdown.circadian = {
+            value: `Bed: ${Math.round(circadian.bedDeviation)}m, Wake: ${Math.round(circadian.wakeDeviation)}m` +
+                (circadian.targets.travelDay ? `, trip plan ${circadian.targets.bedtime}-${circadian.targets.waketime}` : ''),
+            penalty: -Math.round(circadian.penalty)
+        };
+        
+        // Caffeine penalty
+        const caffeineResult = this.calculateCaffeinePenalty(entry.caffeine, entry.bedtime, entry.waketime);
+        breakdown.caffeine = {
+            value: `${Math.round(caffeineResult.remaining)}mg at bedtime, ${Math.round(caffeineResult.peak)}mg peak asleep`,
+            penalty: -Math.round(caffeineResult.penalty)
+        };
+        
+        // Alcohol penalty
+        const alcoholResult = this.calculateAlcoholPenalty(entry.alcohol, this.getSleepOnset(entry), entry.waketime);
+        breakdown.alcohol = {
+            value: entry.alcohol.reduce((sum, a) => sum + a.units, 0) + ' units' + (entry.alcohol.length > 0 ?
+                `, ${alcoholResult.remainingBAC.toFixed(3)}% BAC at onset, ${alcoholResult.hoursInBlood.toFixed(1)}h in blood asleep` : ''),
+            penalty: -Math.round(alcoholResult.penalty)
+        };
+        
+        // Nap penalty
+        const napResult = this.calculateNapPenalty(entry.naps, entry.bedtime);
+        breakdown.naps = {
+            value: `${entry.naps.length} naps, ${napResult.minutes}m`,
+            penalty: -Math.round(napResult.penalty)
+        };
+        
+        // Exercise penalty
+        const exerciseResult = this.calculateExercisePenalty(entry.exercise, entry.bedtime);
+        breakdown.exercise = {
+            value: entry.exercise.length + ' sessions',
+            penalty: -Math.round(exerciseResult.penalty)
+        };
+        
+        // Screen penalty
+        const screenResult = this.calculateScreenPenalty(entry.screens, entry.bedtime);
+        breakdown.screens = {
+            value: entry.screens.length + ' sessions',
+            penalty: -Math.round(screenResult.penalty)
+        };
+        
+        // Meal penalty
+        const mealResult = this.calculateMealPenalty(entry.meals, entry.bedtime);
+        breakdown.meals = {
+            value: entry.meals.length + ' meals',
+            penalty: -Math.round(mealResult.penalty)
+        };
+        
+        // Environment score
+        const envResult = this.calculateEnvironmentScore(entry.environment);
+        breakdown.environment = {
+            value: `${entry.environment.temp}°F, ${entry.environment.light}lux, ${entry.environment.noise}dB`,
+            penalty: Math.round(envResult.bonus - envResult.penalties)
+        };
+        
+        // Calculate final score
+        const totalPenalty = durationPenalty + efficiencyPenalty + debtPenalty + circadian.penalty + 
+                           caffeineResult.penalty + alcoholResult.penalty + 
+                           napResult.penalty + exerciseResult.penalty + screenResult.penalty + mealResult.penalty +
+                           envResult.penalties;
+        
+        const finalScore = Math.max(0, Math.round(baseScore - totalPenalty + envResult.bonus));
+        
+        return { score: finalScore, breakdown };
+    }
+
+    // ========================================================================
+    // CHARTS
+    // ========================================================================
+
+    renderLineChart({ series, xMin, xMax, yMax, yMin = 0, yFormat = v => v, xTicks = [], bands = [], guides = [], bars = [] }) {
+        const width = 600;
+        const height = 200;
+        const pad = { top: 12, right: 12, bottom: 24, left: 48 };
+        const x = v => pad.left + (v - xMin) / ((xMax - xMin) || 1) * (width - pad.left - pad.right);
+        const y = v => height - pad.bottom - (v - yMin) / ((yMax - yMin) || 1) * (height - pad.top - pad.bottom);
+        
+        const bandMarkup = bands.map(b => `
+            <rect class="chart-band" x="${x(b.from)}" y="${pad.top}" width="${x(b.to) - x(b.from)}" height="${height - pad.top - pad.bottom}"></rect>
+            <text class="chart-label" x="${x(b.from) + 4}" y="${pad.top + 12}">${b.label}</text>
+        `).join('');
+        
+        const guideMarkup = guides.map(g => `
+            <line class="chart-guide" x1="${pad.left}" x2="${width - pad.right}" y1="${y(g.y)}" y2="${y(g.y)}"></line>
+            <text class="chart-label" x="${width - pad.right - 4}" y="${y(g.y) - 4}" text-anchor="end">${g.label}</text>
+        `).join('');
+        
+        const yTicks = [yMin, (yMin + yMax) / 2, yMax].map(v => `
+            <text class="chart-label" x="${pad.left - 6}" y="${y(v) + 4}" text-anchor="end">${yFormat(v)}</text>
+        `).join('');
+        
+        const xTickMarkup = xTicks.map(t => `
+            <text class="chart-label" x="${x(t.x)}" y="${height - 6}" text-anchor="middle">${t.label}</text>
+        `).join('');
+        
+        // Points with a null y break the line, so missing days show as gaps
+        const lines = series.map(s => {
+            const segments = [[]];
+            s.points.forEach(p => {
+                if (p.y === null) {
+                    segments.push([]);
+                } else {
+                    segments[segments.length - 1].push(p);
+                }
+            });
+            
+            return segments.filter(seg => seg.length > 0).map(seg => `
+                <polyline class="chart-line" style="stroke: ${s.color}" points="${seg.map(p => `${x(p.x).toFixed(1)},${y(p.y).toFixed(1)}`).join(' ')}"></polyline>
+            `).join('');
+        }).join('');
+        
+        // Markers are zero-length round-capped lines so they stay circular
+        // when the chart stretches; dated ones are hover and click targets
+        const markers = series.filter(s => s.markers).map(s => s.points
+            .filter(p => p.y !== null && p.date)
+            .map(p => `
+                <line class="chart-point" style="stroke: ${s.color}" data-date="${p.date}" x1="${x(p.x).toFixed(1)}" x2="${x(p.x).toFixed(1)}" y1="${y(p.y).toFixed(1)}" y2="${y(p.y).toFixed(1)}"></line>
+            `).join('')).join('');
+        
+        // Bars span from/to on the y axis, centred on x
+        const slot = (width - pad.left - pad.right) / ((xMax - xMin) || 1);
+        const barMarkup = bars.map(b => {
+            const barWidth = slot * (b.width || 0.6);
+            return `
+                <rect class="chart-bar" style="fill: ${b.color}"${b.date ? ` data-date="${b.date}"` : ''} x="${(x(b.x) - barWidth / 2).toFixed(1)}" y="${Math.min(y(b.from), y(b.to)).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${Math.abs(y(b.to) - y(b.from)).toFixed(1)}"></rect>
+            `;
+        }).join('');
+        
+        return `
+            <svg class="chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img">
+                ${bandMarkup}
+                <line class="chart-axis" x1="${pad.left}" x2="${pad.left}" y1="${pad.top}" y2="${height - pad.bottom}"></line>
+                <line class="chart-axis" x1="${pad.left}" x2="${width - pad.right}" y1="${height - pad.bottom}" y2="${height - pad.bottom}"></line>
+                ${guideMarkup}
+                ${yTicks}
+                ${xTickMarkup}
+                ${barMarkup}
+                ${lines}
+                ${markers}
+            </svg>
+        `;
+    }
+
+    // ========================================================================
+    // UI MANAGEMENT - DYNAMIC ENTRIES
+    // ========================================================================
+
+    removeEntryRow(button) {
+        // Dropping a row changes the entry just like editing one
+        const container = button.parentElement.parentElement;
+        button.parentElement.remove();
+        container.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    addCaffeineEntry() {
+        const container = document.getElementById('caffeineEntries');
+        const presets = this.getCaffeinePresets();
+        
+        const row = document.createElement('div');
+        row.className = 'entry-row';
+        row.innerHTML = `
+            <label>
+                Time
+                <input type="time" class="caffeine-time" required>
+            </label>
+            <label>
+                Drink
+                <select class="caffeine-drink">
+                    ${Object.entries(presets).map(([id, p]) =>
+                        `<option value="${id}">${p.label}${p.mg ? ` - ${p.mg}mg` : ''}</option>`).join('')}
+                </select>
+            </label>
+            <label>
+                Amount (mg)
+                <input type="number" class="caffeine-mg" min="0" max="500" value="63" required>
+            </label>
+            <button type="button" class="btn-remove" onclick="app.removeEntryRow(this)">Remove</button>
+        `;
+        
+        // Picking a preset fills in its amount; editing the amount makes it custom
+        const drink = row.querySelector('.caffeine-drink');
+        const mg = row.querySelector('.caffeine-mg');
+        drink.addEventListener('change', () => {
+            if (presets[drink.value].mg) mg.value = presets[drink.value].mg;
+        });
+        mg.addEventListener('input', () => {
+            if (presets[drink.value].mg !== parseInt(mg.value)) drink.value = 'custom';
+        });
+        
+        container.appendChild(row);
+    }
+
+    addAlcoholEntry() {
+        const container = document.getElementById('alcoholEntries');
+        const drinks = this.getAlcoholDrinks();
+        
+        const row = document.createElement('div');
+        row.className = 'entry-row';
+        row.innerHTML = `
+            <label>
+                Time
+                <input type="time" class="alcohol-time" required>
+            </label>
+            <label>
+                Drink
+                <select class="alcohol-drink">
+                    ${Object.entries(drinks).map(([id, d]) => `<option value="${id}">${d.label}</option>`).join('')}
+                </select>
+            </label>
+            <label>
+                Volume (ml)
+                <input type="number" class="alcohol-volume" min="0" max="2000" value="500">
+            </label>
+            <label>
+                ABV (%)
+                <input type="number" class="alcohol-abv" min="0" max="80" step="0.5" value="5">
+            </label>
+            <label>
+                Units
+                <input type="number" class="alcohol-units" min="0" max="20" step="0.1" value="2.5" required>
+            </label>
+            <button type="button" class="btn-remove" onclick="app.removeEntryRow(this)">Remove</button>
+        `;
+        
+        // Drink, volume and ABV drive the unit count; typing units directly
+        // switches to a custom drink without a known volume
+        const drink = row.querySelector('.alcohol-drink');
+        const volume = row.querySelector('.alcohol-volume');
+        const abv = row.querySelector('.alcohol-abv');
+        const units = row.querySelector('.alcohol-units');
+        const updateUnits = () => {
+            const grams = this.getAlcoholGrams({ volumeMl: parseFloat(volume.value), abv: parseFloat(abv.value), units: 0 });
+            units.value = (grams / 8).toFixed(1);
+        };
+        drink.addEventListener('change', () => {
+            if (drinks[drink.value].volumeMl) {
+                volume.value = drinks[drink.value].volumeMl;
+                abv.value = drinks[drink.value].abv;
+                updateUnits();
+            }
+        });
+        [volume, abv].forEach(input => input.addEventListener('input', () => {
+            drink.value = 'custom';
+            updateUnits();
+        }));
+        units.addEventListener('input', () => {
+            drink.value = 'custom';
+            volume.value = '';
+            abv.value = '';
+        });
+        
+        container.appendChild(row);
+    }
+
+    addNapEntry() {
+        const container = document.getElementById('napEntries');
+        
+        const row = document.createElement('div');
+        row.className = 'entry-row';
+        row.innerHTML = `
+            <label>
+                Start Time
+                <input type="time" class="nap-start" required>
+            </label>
+            <label>
+                End Time
+                <input type="time" class="nap-end" required>
+            </label>
+            <button type="button" class="btn-remove" onclick="app.removeEntryRow(this)">Remove</button>
+        `;
+        
+        container.appendChild(row);
+    }
+
+    addMealEntry() {
+        const container = document.getElementById('mealEntries');
+        
+        const row = document.createElement('div');
+        row.className = 'entry-row';
+        row.innerHTML = `
+            <label>
+                Time
+                <input type="time" class="meal-time" required>
+            </label>
+            <label>
+                Size
+                <select class="meal-type" required>
+                    <option value="small">Small</option>
+                    <option value="medium">Medium</option>
+                    <option value="large">Large</option>
+                </select>
+            </label>
+            <label>
+                Macros
+                <select class="meal-macros" required>
+                    <option value="balanced">Balanced</option>
+                    <option value="high-carb">High Carb</option>
+                    <option value="high-protein">High Protein</option>
+                    <option value="high-fat">High Fat</option>
+                </select>
+            </label>
+            <button type="button" class="btn-remove" onclick="app.removeEntryRow(this)">Remove</button>
+        `;
+        
+        container.appendChild(row);
+    }
+
+    addExerciseEntry() {
+        const container = document.getElementById('exerciseEntries');
+        
+        const row = document.createElement('div');
+        row.className = 'entry-row';
+        row.innerHTML = `
+            <label>
+                Time
+                <input type="time" class="exercise-time" required>
+            </label>
+            <label>
+                Type
+                <select class="exercise-type" required>
+                    <option value="strength">Strength</option>
+                    <option value="cardio">Cardio</option>
+                    <option value="flexibility">Flexibility</option>
+                </select>
+            </label>
+            <label>
+                Intensity
+                <select class="exercise-intensity" required>
+                    <option value="low">Low</option>
+                    <option value="medium">Medium</option>
+                    <option value="high">High</option>
+                </select>
+            </label>
+            <label>
+                Duration (min)
+                <input type="number" class="exercise-duration" min="5" max="300" value="30" required>
+            </label>
+            <button type="button" class="btn-remove" onclick="app.removeEntryRow(this)">Remove</button>
+        `;
+        
+        container.appendChild(row);
+    }
+
+    addScreenEntry() {
+        const container = document.getElementById('screenEntries');
+        
+        const row = document.createElement('div');
+        row.className = 'entry-row';
+        row.innerHTML = `
+            <label>
+                Start Time
+                <input type="time" class="screen-start" required>
+            </label>
+            <label>
+                End Time
+                <input type="time" class="screen-end" required>
+            </label>
+            <label>
+                Content Type
+                <select class="screen-content" required>
+                    <option value="passive">Passive (video)</option>
+                    <option value="moderate">Moderate (browsing)</option>
+                    <option value="active">Active (gaming, work)</option>
+                </select>
+            </label>
+            <button type="button" class="btn-remove" onclick="app.removeEntryRow(this)">Remove</button>
+        `;
+        
+        container.appendChild(row);
+    }
+
+    // ========================================================================
+    // ENTRY VALIDATION
+    // ========================================================================
+
+    getEntryFieldLabels() {
+        return {
+            date: 'Date',
+            timeZone: 'Time zone',
+            bedtime: 'Bedtime',
+            lightsOut: 'Lights out',
+            waketime: 'Wake time',
+            outOfBed: 'Out of bed',
+            sleepLatency: 'Sleep latency',
+            awakenings: 'Awakenings',
+            awakeMinutes: 'Minutes awake',
+            caffeine: { label: 'Caffeine', time: 'time', mg: 'amount' },
+            alcohol: { label: 'Alcohol', time: 'time', units: 'units' },
+            naps: { label: 'Nap', startTime: 'start', endTime: 'end' },
+            meals: { label: 'Meal', time: 'time', type: 'type', macros: 'macros' },
+            exercise: { label: 'Exercise', time: 'time', type: 'type', intensity: 'intensity', duration: 'duration' },
+            screens: { label: 'Screen session', startTime: 'start', endTime: 'end', contentType: 'content' },
+            environment: { temp: 'Temperature', light: 'Light level', noise: 'Noise level', bedroomOnly: 'Bedroom only' }
+        };
+    }
+
+    getEntryFieldInputs() {
+        // Daily form input for each validated field; dynamic rows by class
+        return {
+            date: '#entryDate',
+            timeZone: '#entryTimeZone',
+            bedtime: '#bedtime',
+            lightsOut: '#lightsOut',
+            waketime: '#waketime',
+            outOfBed: '#outOfBed',
+            sleepLatency: '#sleepLatency',
+            awakenings: '#awakenings',
+            awakeMinutes: '#awakeMinutes',
+            caffeine: { rows: '#caffeineEntries', time: '.caffeine-time', mg: '.caffeine-mg' },
+            alcohol: { rows: '#alcoholEntries', time: '.alcohol-time', units: '.alcohol-units' },
+            naps: { rows: '#napEntries', startTime: '.nap-start', endTime: '.nap-end' },
+            meals: { rows: '#mealEntries', time: '.meal-time', type: '.meal-type', macros: '.meal-macros' },
+            exercise: { rows: '#exerciseEntries', time: '.exercise-time', type: '.exercise-type', intensity: '.exercise-intensity', duration: '.exercise-duration' },
+            screens: { rows: '#screenEntries', startTime: '.screen-start', endTime: '.screen-end', contentType: '.screen-content' },
+            environment: { temp: '#envTemp', light: '#envLight', noise: '#envNoise', bedroomOnly: '#envBedroomOnly' }
+        };
+    }
+
+    validateEntry(entry) {
+        // Errors block a save or import; warnings flag values that are
+        // possible but probably mistyped. Fields are paths like "naps[0].endTime"
+        const errors = [];
+        const warnings = [];
+        const error = (field, message, missing = false) => errors.push({ field, message, missing });
+        const warn = (field, message) => warnings.push({ field, message });
+        
+        if (this.getValueType(entry) !== 'object') {
+            error(null, 'Record is not an object');
+            return { errors, warnings };
+        }
+        
+        const template = this.getEmptyEntry();
+        const labels = this.getEntryFieldLabels();
+        
+        // Top-level fields must have the same type as in getEmptyEntry()
+        Object.entries(template).forEach(([key, emptyValue]) => {
+            const expected = this.getValueType(emptyValue);
+            if (!(key in entry)) {
+                error(key, `Missing field "${key}"`);
+            } else if (this.getValueType(entry[key]) !== expected) {
+                error(key, `Field "${key}" should be ${expected}, got ${this.getValueType(entry[key])}`);
+            }
+        });
+        
+        if (errors.length > 0) return { errors, warnings };
+        
+        if (entry.date === '') {
+            error('date', 'Date is required', true);
+        } else if (!this.isValidDate(entry.date)) {
+            error('date', `Invalid date "${entry.date}"`);
+        } else if (entry.date > this.getLocalDateString(new Date())) {
+            warn('date', `${entry.date} is in the future`);
+        }
+        
+        if (entry.timeZone !== '' && !this.isValidTimeZone(entry.timeZone)) {
+            error('timeZone', `Unknown time zone "${entry.timeZone}"`);
+        }
+        
+        // Bed and wake time are required; the others may be blank
+        ['bedtime', 'waketime', 'lightsOut', 'outOfBed'].forEach(field => {
+            if (entry[field] === '') {
+                if (field === 'bedtime' || field === 'waketime') error(field, `${labels[field]} is required`, true);
+            } else if (!this.isValidTime(entry[field])) {
+                error(field, `Invalid ${labels[field].toLowerCase()} "${entry[field]}"`);
+            }
+        });
+        
+        ['sleepLatency', 'awakenings', 'awakeMinutes'].forEach(field => {
+            if (!Number.isInteger(entry[field]) || entry[field] < 0) {
+                error(field, `${labels[field]} must be a whole number of 0 or more`);
+            }
+        });
+        
+        // Implausible nights, checked only once the timing itself is valid
+        if (errors.length === 0) {
+            const { timeInBed, totalSleepTime } = this.calculateSleepMetrics(entry);
+            if (totalSleepTime > 12 * 60) {
+                warn('waketime', `${this.formatMinutes(totalSleepTime)} asleep is unusually long`);
+            }
+            if (entry.sleepLatency + entry.awakeMinutes >= timeInBed) {
+                warn('awakeMinutes', 'Sleep latency and minutes awake fill the whole time in bed');
+            }
+            if (entry.lightsOut && this.calculateSleepDuration(entry.bedtime, entry.lightsOut) >= timeInBed) {
+                warn('lightsOut', 'Lights out is not between bedtime and wake time');
+            }
+        }
+        
+        // Dynamic rows
+        const rowErrors = errors.length;
+        Object.entries(this.getEntryItemFields()).forEach(([key, fields]) => {
+            entry[key].forEach((item, i) => {
+                const name = `${labels[key].label} ${i + 1}`;
+                if (this.getValueType(item) !== 'object') {
+                    error(`${key}[${i}]`, `${name} is not an object`);
+                    return;
+                }
+                
+                Object.entries(fields).forEach(([field, type]) => {
+                    const value = item[field];
+                    const path = `${key}[${i}].${field}`;
+                    const label = labels[key][field];
+                    
+                    if (type === 'time' && value === '') {
+                        error(path, `${name}: ${label} is required`, true);
+                    } else if (type === 'time' && !this.isValidTime(value)) {
+                        error(path, `${name}: invalid ${label} "${value}"`);
+                    } else if (type === 'number' && !Number.isFinite(value)) {
+                        error(path, `${name}: ${label} must be a number`, value === '' || Number.isNaN(value));
+                    } else if (type === 'number' && value < 0) {
+                        error(path, `${name}: ${label} cannot be negative`);
+                    } else if (type === 'string' && typeof value !== 'string') {
+                        error(path, `${name}: ${label} should be text`);
+                    }
+                });
+            });
+        });
+        
+        // Cross-row checks need every row's times and amounts to be valid
+        if (errors.length === rowErrors) {
+            // Sessions must end after they start; overlapping ones are double counted.
+            // Both are judged in minutes relative to bedtime, so a session may run
+            // past midnight as long as it lasts under 12 hours
+            const anchor = this.isValidTime(entry.bedtime) ? entry.bedtime : '00:00';
+            const span = item => {
+                const start = -this.getHoursBeforeBedtime(item.startTime, anchor) * 60;
+                return { start, end: start + this.calculateSleepDuration(item.startTime, item.endTime) };
+            };
+            
+            ['naps', 'screens'].forEach(key => {
+                const name = labels[key].label;
+                const spans = entry[key].map(span);
+                spans.forEach((current, i) => {
+                    const duration = current.end - current.start;
+                    const overlap = spans.findIndex((other, j) => j < i &&
+                        current.start < other.end && other.start < current.end);
+                    
+                    if (duration <= 0 || duration >= 720) {
+                        error(`${key}[${i}].endTime`, `${name} ${i + 1}: end must be after start`);
+                    } else if (overlap >= 0) {
+                        warn(`${key}[${i}].startTime`, `${name} ${i + 1} overlaps ${name.toLowerCase()} ${overlap + 1}`);
+                    }
+                });
+            });
+            
+            // Implausible amounts, flagged on the row that crosses the limit
+            let caffeine = 0;
+            entry.caffeine.forEach((c, i) => {
+                if (caffeine <= 800 && caffeine + c.mg > 800) {
+                    warn(`caffeine[${i}].mg`, `${caffeine + c.mg}mg of caffeine in one day is unusually high`);
+                }
+                caffeine += c.mg;
+            });
+            
+            let units = 0;
+            entry.alcohol.forEach((a, i) => {
+                if (units <= 15 && units + a.units > 15) {
+                    warn(`alcohol[${i}].units`, `${Math.round((units + a.units) * 10) / 10} alcohol units in one day is unusually high`);
+                }
+                units += a.units;
+            });
+            
+            entry.exercise.forEach((e, i) => {
+                if (e.duration > 300) {
+                    warn(`exercise[${i}].duration`, `Exercise ${i + 1}: ${this.formatMinutes(e.duration)} is unusually long`);
+                }
+            });
+        }
+        
+        // Environment
+        Object.entries(template.environment).forEach(([field, emptyValue]) => {
+            const value = entry.environment[field];
+            const path = `environment.${field}`;
+            if (typeof value !== typeof emptyValue) {
+                error(path, `${labels.environment[field]} should be a ${typeof emptyValue}`);
+            } else if (typeof value === 'number' && !Number.isFinite(value)) {
+                error(path, `${labels.environment[field]} must be a number`);
+            }
+        });
+        
+        const { temp, noise } = entry.environment;
+        if (temp < 50 || temp > 90) warn('environment.temp', `A bedroom at ${temp}°F is unusual`);
+        if (noise > 100) warn('environment.noise', `${noise} dB is unusually loud`);
+        
+        return { errors, warnings };
+    }
+
+    getEntryFieldInput(field) {
+        const inputs = this.getEntryFieldInputs();
+        const row = /^(\w+)\[(\d+)\]\.(\w+)$/.exec(field || '');
+        
+        if (row) {
+            const [, key, index, name] = row;
+            const rowElement = inputs[key] && document.querySelectorAll(`${inputs[key].rows} .entry-row`)[index];
+            return rowElement && inputs[key][name] ? rowElement.querySelector(inputs[key][name]) : null;
+        }
+        
+        const [key, name] = (field || '').split('.');
+        const selector = name ? inputs[key] && inputs[key][name] : inputs[key];
+        return typeof selector === 'string' ? document.querySelector(selector) : null;
+    }
+
+    validateEntryForm(entry = this.readEntryForm()) {
+        const result = this.validateEntry(entry);
+        this.showEntryValidation(result);
+        return result;
+    }
+
+    showEntryValidation({ errors, warnings }) {
+        const daily = document.getElementById('daily');
+        daily.querySelectorAll('.field-error, .field-warning').forEach(input => input.classList.remove('field-error', 'field-warning'));
+        daily.querySelectorAll('.field-message').forEach(message => message.remove());
+        
+        // Blank required fields are only flagged once a save has been tried
+        const shown = [
+            ...errors.filter(issue => this.showMissingFields || !issue.missing).map(issue => ({ ...issue, level: 'error' })),
+            ...warnings.map(issue => ({ ...issue, level: 'warning' }))
+        ];
+        
+        shown.forEach(issue => {
+            const input = this.getEntryFieldInput(issue.field);
+            if (!input) return;
+            
+            if (!input.classList.contains('field-error')) input.classList.add(`field-${issue.level}`);
+            const message = document.createElement('span');
+            message.className = `field-message ${issue.level}`;
+            message.textContent = issue.message;
+            input.closest('label').appendChild(message);
+        });
+        
+        const summary = document.getElementById('entryValidation');
+        const errorCount = shown.filter(issue => issue.level === 'error').length;
+        summary.style.display = shown.length > 0 ? 'block' : 'none';
+        summary.innerHTML = (errorCount > 0 ? `<strong>${errorCount} ${errorCount === 1 ? 'problem' : 'problems'} to fix before saving</strong>` :
+            shown.length > 0 ? '<strong>Check these values before saving</strong>' : '') +
+            shown.map(issue => `<div class="field-message ${issue.level}">${this.escapeHTML(issue.message)}</div>`).join('');
+    }
+
+    // ========================================================================
+    // CALCULATION & SAVE
+    // ========================================================================
+
+    async calculateAndSave() {
+        const entry = this.readEntryForm();
+        
+        // Errors stay marked on their fields and block the save; warnings don't
+        this.showMissingFields = true;
+        const { errors } = this.validateEntryForm(entry);
+        if (errors.length > 0) {
+            const first = document.querySelector('#daily .field-error') || document.getElementById('entryValidation');
+            first.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            return;
+        }
+        
+        // Evaluate rules and score
+        this.scoreEntry(entry);
+        
+        // Save
+        const previous = await this.saveEntry(entry);
+        
+        // Display results
+        this.displayResults(entry);
+        
+        // Update header, trash and history
+        await this.refreshAfterEntryChange();
+        this.showUndoToast(`Saved ${entry.date}`, () => this.undoSave(entry.date, previous));
+        
+        // Scroll to results
+        document.getElementById('resultSection').scrollIntoView({ behavior: 'smooth' });
+    }
+
+    readEntryForm() {
+        // Collect all data
+        const entry = this.getEmptyEntry();
+        
+        // Basic sleep data
+        entry.date = document.getElementById('entryDate').value;
+        entry.timeZone = document.getElementById('entryTimeZone').value.trim();
+        Object.assign(entry, this.readSleepTimingForm());
+        
+        // Caffeine
+        document.querySelectorAll('#caffeineEntries .entry-row').forEach(row => {
+            entry.caffeine.push({
+                time: row.querySelector('.caffeine-time').value,
+                mg: parseInt(row.querySelector('.caffeine-mg').value),
+                drink: row.querySelector('.caffeine-drink').value
+            });
+        });
+        
+        // Alcohol
+        document.querySelectorAll('#alcoholEntries .entry-row').forEach(row => {
+            const drink = {
+                time: row.querySelector('.alcohol-time').value,
+                units: parseFloat(row.querySelector('.alcohol-units').value),
+                drink: row.querySelector('.alcohol-drink').value,
+                volumeMl: parseFloat(row.querySelector('.alcohol-volume').value) || null,
+                abv: parseFloat(row.querySelector('.alcohol-abv').value) || null
+            };
+            drink.grams = Math.round(this.getAlcoholGrams(drink) * 10) / 10;
+            entry.alcohol.push(drink);
+        });
+        
+        // Naps
+        document.querySelectorAll('#napEntries .entry-row').forEach(row => {
+            entry.naps.push({
+                startTime: row.querySelector('.nap-start').value,
+                endTime: row.querySelector('.nap-end').value
+            });
+        });
+        
+        // Meals
+        document.querySelectorAll('#mealEntries .entry-row').forEach(row => {
+            entry.meals.push({
+                time: row.querySelector('.meal-time').value,
+                type: row.querySelector('.meal-type').value,
+                macros: row.querySelector('.meal-macros').value
+            });
+        });
+        
+        // Exercise
+        document.querySelectorAll('#exerciseEntries .entry-row').forEach(row => {
+            entry.exercise.push({
+                time: row.querySelector('.exercise-time').value,
+                type: row.querySelector('.exercise-type').value,
+                intensity: row.querySelector('.exercise-intensity').value,
+                duration: parseInt(row.querySelector('.exercise-duration').value)
+            });
+        });
+        
+        // Screens
+        document.querySelectorAll('#screenEntries .entry-row').forEach(row => {
+            entry.screens.push({
+                startTime: row.querySelector('.screen-start').value,
+                endTime: row.querySelector('.screen-end').value,
+                contentType: row.querySelector('.screen-content').value
+            });
+        });
+        
+        // Environment
+        entry.environment = {
+            temp: parseInt(document.getElementById('envTemp').value),
+            light: parseInt(document.getElementById('envLight').value),
+            noise: parseInt(document.getElementById('envNoise').value),
+            bedroomOnly: document.getElementById('envBedroomOnly').checked
+        };
+        
+        return entry;
+    }
+
+    scoreEntry(entry) {
+        entry.sleepDuration = this.calculateSleepDuration(entry.bedtime, entry.waketime);
+        Object.assign(entry, this.calculateSleepMetrics(entry));
+        entry.sleepDebt = this.calculateSleepDebt(this.getSleepForDebt(entry));
+        
+        // Evaluate rules
+        entry.violations = this.evaluateRules(entry);
+        
+        // Calculate quality score
+        const scoreResult = this.calculateQualityScore(entry);
+        entry.qualityScore = scoreResult.score;
+        entry.breakdown = scoreResult.breakdown;
+        
+        return entry;
+    }
+
+    async rescoreAllEntries() {
+        const data = await this.getAllData();
+        await this.store.putMany(data.map(entry => this.scoreEntry(entry)));
+        return data.length;
+    }
+
+    displayResults(entry) {
+        const resultSection = document.getElementById('resultSection');
+        resultSection.style.display = 'block';
+        
+        // Score
+        document.getElementById('qualityScore').textContent = entry.qualityScore;
+        
+        // Violations
+        const violationsDiv = document.getElementById('violations');
+        if (entry.violations.length > 0) {
+            const rules = this.getRules();
+            violationsDiv.innerHTML = '<h3>Rule Violations</h3>' + 
+                entry.violations.map(v => `
+                    <div class="violation-item severity-${this.normalizeViolation(v).severity}">
+                        ${this.escapeHTML(this.formatViolation(v, rules))}
+                    </div>
+                `).join('');
+        } else {
+            violationsDiv.innerHTML = '<h3 style="color: var(--success)">No Violations</h3>';
+        }
+        
+        // Caffeine and alcohol curves
+        this.renderCaffeineCurve(entry);
+        this.renderAlcoholCurve(entry);
+        
+        // Breakdown
+        const breakdownDiv = document.getElementById('breakdown');
+        breakdownDiv.innerHTML = Object.entries(entry.breakdown).map(([key, data]) => `
+            <div class="breakdown-item">
+                <h4>${key.replace(/([A-Z])/g, ' $1').trim()}</h4>
+                <div class="value" style="color: ${data.penalty >= 0 ? 'var(--success)' : 'var(--danger)'}">
+                    ${data.penalty >= 0 ? '+' : ''}${data.penalty}
+                </div>
+                <div class="detail">${data.value}</div>
+            </div>
+        `).join('');
+    }
+
+    async loadEntry() {
+        const date = document.getElementById('entryDate').value;
+        const entry = date && await this.getEntryByDate(date);
+        if (!entry) {
+            const message = date ? `No entry saved for ${date}` : 'Select a date to load';
+            this.showEntryValidation({ errors: [{ field: 'date', message }], warnings: [] });
+            return;
+        }
+        
+        // Load basic data
+        document.getElementById('entryTimeZone').value = entry.timeZone;
+        document.getElementById('bedtime').value = entry.bedtime;
+        document.getElementById('lightsOut').value = entry.lightsOut;
+        document.getElementById('waketime').value = entry.waketime;
+        document.getElementById('outOfBed').value = entry.outOfBed;
+        document.getElementById('sleepLatency').value = entry.sleepLatency;
+        document.getElementById('awakenings').value = entry.awakenings;
+        document.getElementById('awakeMinutes').value = entry.awakeMinutes;
+        this.updateSleepInfo();
+        
+        // Load caffeine
+        const caffeineContainer = document.getElementById('caffeineEntries');
+        caffeineContainer.innerHTML = '';
+        entry.caffeine.forEach(c => {
+            this.addCaffeineEntry();
+            const row = caffeineContainer.lastChild;
+            row.querySelector('.caffeine-time').value = c.time;
+            row.querySelector('.caffeine-drink').value = c.drink || 'custom';
+            row.querySelector('.caffeine-mg').value = c.mg;
+        });
+        
+        // Load alcohol
+        const alcoholContainer = document.getElementById('alcoholEntries');
+        alcoholContainer.innerHTML = '';
+        entry.alcohol.forEach(a => {
+            this.addAlcoholEntry();
+            const row = alcoholContainer.lastChild;
+            row.querySelector('.alcohol-time').value = a.time;
+            row.querySelector('.alcohol-drink').value = a.drink || 'custom';
+            row.querySelector('.alcohol-volume').value = a.volumeMl || '';
+            row.querySelector('.alcohol-abv').value = a.abv || '';
+            row.querySelector('.alcohol-units').value = a.units;
+        });
+        
+        // Load naps
+        const napContainer = document.getElementById('napEntries');
+        napContainer.innerHTML = '';
+        entry.naps.forEach(n => {
+            this.addNapEntry();
+            const row = napContainer.lastChild;
+            row.querySelector('.nap-start').value = n.startTime;
+            row.querySelector('.nap-end').value = n.endTime;
+        });
+        
+        // Load meals
+        const mealContainer = document.getElementById('mealEntries');
+        mealContainer.innerHTML = '';
+        entry.meals.forEach(m => {
+            this.addMealEntry();
+            const row = mealContainer.lastChild;
+            row.querySelector('.meal-time').value = m.time;
+            row.querySelector('.meal-type').value = m.type;
+            row.querySelector('.meal-macros').value = m.macros;
+        });
+        
+        // Load exercise
+        const exerciseContainer = document.getElementById('exerciseEntries');
+        exerciseContainer.innerHTML = '';
+        entry.exercise.forEach(e => {
+            this.addExerciseEntry();
+            const row = exerciseContainer.lastChild;
+            row.querySelector('.exercise-time').value = e.time;
+            row.querySelector('.exercise-type').value = e.type;
+            row.querySelector('.exercise-intensity').value = e.intensity;
+            row.querySelector('.exercise-duration').value = e.duration;
+        });
+        
+        // Load screens
+        const screenContainer = document.getElementById('screenEntries');
+        screenContainer.innerHTML = '';
+        entry.screens.forEach(s => {
+            this.addScreenEntry();
+            const row = screenContainer.lastChild;
+            row.querySelector('.screen-start').value = s.startTime;
+            row.querySelector('.screen-end').value = s.endTime;
+            row.querySelector('.screen-content').value = s.contentType;
+        });
+        
+        // Load environment
+        document.getElementById('envTemp').value = entry.environment.temp;
+        document.getElementById('envLight').value = entry.environment.light;
+        document.getElementById('envNoise').value = entry.environment.noise;
+        document.getElementById('envBedroomOnly').checked = entry.environment.bedroomOnly;
+        this.validateEntryForm();
+        
+        // Display results
+        this.displayResults(entry);
+    }
+
+    async updateHeaderStats() {
+        const data = await this.getAllData();
+        
+        // Current debt balance
+        const totalDebt = Math.round(this.getCumulativeSleepDebt(data));
+        const debtHours = Math.floor(totalDebt / 60);
+        const debtMin = totalDebt % 60;
+        document.getElementById('totalDebt').textContent = `${debtHours}h ${debtMin}m`;
+        
+        // Average quality
+        if (data.length > 0) {
+            const avgQuality = data.reduce((sum, e) => sum + e.qualityScore, 0) / data.length;
+            document.getElementById('avgQuality').textContent = Math.round(avgQuality);
+        }
+        
+        // Social jetlag
+        const jetlag = this.calculateSocialJetlag(this.getSocialJetlagWindow(data));
+        document.getElementById('socialJetlag').textContent = `${jetlag.jetlag}m`;
+    }
+
+    // ========================================================================
+    // PLAN TONIGHT
+    // ========================================================================
+
+    togglePlanMode() {
+        this.planMode = !this.planMode;
+        document.getElementById('planPanel').style.display = this.planMode ? 'block' : 'none';
+        
+        if (this.planMode) {
+            // Tonight's targets, which follow the trip plan while travelling
+            const targets = this.getCircadianTargets({ ...this.getEmptyEntry(), date: this.addDays(this.getLocalDateString(new Date()), 1) });
+            if (!document.getElementById('planBedtime').value) {
+                document.getElementById('planBedtime').value = targets.bedtime;
+            }
+            if (!document.getElementById('planWaketime').value) {
+                document.getElementById('planWaketime').value = targets.waketime;
+            }
+            this.updatePlan();
+        }
+    }
+
+    buildPlanEntry() {
+        // Today's logged items, slept tonight on the planned schedule
+        const entry = this.readEntryForm();
+        Object.assign(entry, {
+            date: this.addDays(this.getLocalDateString(new Date()), 1),
+            bedtime: document.getElementById('planBedtime').value,
+            lightsOut: '',
+            waketime: document.getElementById('planWaketime').value,
+            outOfBed: '',
+            sleepLatency: 15, // typical latency; the real one isn't known yet
+            awakenings: 0,
+            awakeMinutes: 0
+        });
+        return entry;
+    }
+
+    getPlanCandidates() {
+        return [
+            {
+                label: '100mg coffee',
+                add: (entry, time) => entry.caffeine.push({ time, mg: 100, drink: 'custom' })
+            },
+            {
+                label: 'Workout (60 min, high intensity)',
+                add: (entry, time) => entry.exercise.push({ time, type: 'cardio', intensity: 'high', duration: 60 })
+            },
+            {
+                label: 'Screen session ending',
+                add: (entry, time) => entry.screens.push({ startTime: this.addMinutesToTime(time, -60), endTime: time, contentType: 'active' })
+            }
+        ];
+    }
+
+    findLatestTime(entry, candidate, maxCost) {
+        const baseline = this.scoreEntry(JSON.parse(JSON.stringify(entry)));
+        const countByRule = violations => violations.reduce((counts, v) => {
+            counts[v.ruleId] = (counts[v.ruleId] || 0) + 1;
+            return counts;
+        }, {});
+        const before = countByRule(baseline.violations);
+        
+        // Walk back from bedtime in 15 minute steps, up to 14 hours
+        for (let offset = 0; offset <= 14 * 60; offset += 15) {
+            const time = this.addMinutesToTime(entry.bedtime, -offset);
+            const trial = JSON.parse(JSON.stringify(entry));
+            candidate.add(trial, time);
+            this.scoreEntry(trial);
+            
+            const after = countByRule(trial.violations);
+            const breaksRule = Object.keys(after).some(ruleId => after[ruleId] > (before[ruleId] || 0));
+            const cost = baseline.qualityScore - trial.qualityScore;
+            
+            if (!breaksRule && cost <= maxCost) {
+                return { time, cost };
+            }
+        }
+        
+        return null;
+    }
+
+    updatePlan() {
+        const entry = this.buildPlanEntry();
+        const resultDiv = document.getElementById('planResult');
+        
+        if (!entry.bedtime || !entry.waketime) {
+            resultDiv.innerHTML = '<p class="plan-note">Set a planned bedtime and wake time</p>';
+            return;
+        }
+        
+        if (this.validateEntry(entry).errors.length > 0) {
+            resultDiv.innerHTML = '<p class="plan-note">Fix or remove the incomplete rows above to see a prediction</p>';
+            return;
+        }
+        
+        const predicted = this.scoreEntry(JSON.parse(JSON.stringify(entry)));
+        const maxCost = parseInt(document.getElementById('planMaxCost').value) || 0;
+        const rules = this.getRules();
+        
+        const cutoffs = this.getPlanCandidates().map(candidate => {
+            const latest = this.findLatestTime(entry, candidate, maxCost);
+            return `
+                <div class="plan-cutoff">
+                    <span>${candidate.label}</span>
+                    <strong>${latest ? `by ${latest.time}` : 'not tonight'}</strong>
+                    <span class="plan-note">${latest ? (latest.cost > 0 ? `-${latest.cost} points` : 'no cost') : ''}</span>
+                </div>
+            `;
+        }).join('');
+        
+        resultDiv.innerHTML = `
+            <div class="plan-score">Predicted score: <strong>${predicted.qualityScore}</strong></div>
+            ${predicted.violations.length > 0 ? predicted.violations.map(v => `
+                <div class="violation-item severity-${v.severity}">${this.escapeHTML(this.formatViolation(v, rules))}</div>
+            `).join('') : '<div style="color: var(--success)">No predicted violations</div>'}
+            <h3>Latest times tonight</h3>
+            <p class="plan-note">Without breaking a rule or costing more than ${maxCost} points</p>
+            ${cutoffs}
+        `;
+    }
+
+    // ========================================================================
+    // REMINDERS
+    // ========================================================================
+
+    getDefaultReminderSettings() {
+        return {
+            enabled: false,
+            autoFromAdjustments: false,
+            snoozeMinutes: 10,
+            windDownMinutes: 60,
+            reminders: {
+                'caffeine-cutoff': { enabled: false, time: '' },
+                'heavy-meal': { enabled: false, time: '' },
+                'exercise-cutoff': { enabled: false, time: '' },
+                'screen-curfew': { enabled: false, time: '' },
+                'wind-down': { enabled: true, time: '' },
+                'bedtime': { enabled: true, time: '' }
+            },
+            snoozed: {},
+            // Reminders the user set by hand; adjustments leave these alone
+            userChanged: {}
+        };
+    }
+
+    getReminderSettings() {
+        const stored = localStorage.getItem(this.storageKey('sleepSystemReminders'));
+        const defaults = this.getDefaultReminderSettings();
+        const saved = stored ? JSON.parse(stored) : {};
+        return { ...defaults, ...saved, reminders: { ...defaults.reminders, ...saved.reminders } };
+    }
+
+    saveReminderSettings(settings) {
+        localStorage.setItem(this.storageKey('sleepSystemReminders'), JSON.stringify(settings));
+    }
+
+    getReminderDefinitions() {
+        // Rule-based reminders fire at the latest time the item can happen
+        // without the rule firing; the item is what gets tested against it
+        return [
+            {
+                id: 'caffeine-cutoff',
+                label: 'Caffeine cutoff',
+                body: 'Last call for caffeine today.',
+                ruleId: 'caffeine-at-bedtime',
+                add: (entry, time) => entry.caffeine.push({ time, mg: 100, drink: 'custom' })
+            },
+            {
+                id: 'heavy-meal',
+                label: 'Last heavy meal',
+                body: 'Finish large or high-fat meals now.',
+                ruleId: 'late-heavy-meal',
+                add: (entry, time) => entry.meals.push({ time, type: 'large', macros: 'high-fat' })
+            },
+            {
+                id: 'exercise-cutoff',
+                label: 'Exercise cutoff',
+                body: 'Last chance for a hard workout today.',
+                ruleId: 'late-high-intensity-exercise',
+                add: (entry, time) => entry.exercise.push({ time, type: 'cardio', intensity: 'high', duration: 60 })
+            },
+            {
+                id: 'screen-curfew',
+                label: 'Screen curfew',
+                body: 'Screens off for the night.',
+                ruleId: 'late-screen',
+                add: (entry, time) => entry.screens.push({ startTime: this.addMinutesToTime(time, -60), endTime: time, contentType: 'active' })
+            },
+            {
+                id: 'wind-down',
+                label: 'Wind-down',
+                body: 'Start winding down: dim the lights and get ready for bed.',
+                beforeBed: settings => settings.windDownMinutes
+            },
+            {
+                id: 'bedtime',
+                label: 'Bedtime',
+                body: 'Time for bed.',
+                beforeBed: () => 0
+            }
+        ];
+    }
+
+    getReminderTime(definition, settings = this.getReminderSettings(), profile = this.getProfile()) {
+        const override = settings.reminders[definition.id].time;
+        if (override) return override;
+        
+        const bedtime = profile.targetBedtime;
+        if (definition.beforeBed) {
+            return this.addMinutesToTime(bedtime, -definition.beforeBed(settings));
+        }
+        
+        // Walk back from the target bedtime until the rule no longer fires
+        const rule = this.getRules().find(r => r.id === definition.ruleId);
+        const metric = this.getRuleMetrics()[rule.metric];
+        const limit = this.getRuleLimit(rule, profile);
+        
+        for (let offset = 0; offset <= 16 * 60; offset += 15) {
+            const time = this.addMinutesToTime(bedtime, -offset);
+            const entry = { ...this.getEmptyEntry(), bedtime, waketime: profile.targetWaketime };
+            definition.add(entry, time);
+            
+            const breached = metric.measure(entry).some(measured =>
+                rule.comparator === 'below' ? measured < limit : measured > limit);
+            if (!breached) return time;
+        }
+        
+        return this.addMinutesToTime(bedtime, -16 * 60);
+    }
+
+    getNextReminderDate(id, time, settings) {
+        const now = Date.now();
+        if (settings.snoozed[id] > now) return new Date(settings.snoozed[id]);
+        
+        const [h, m] = time.split(':').map(Number);
+        const next = new Date();
+        next.setHours(h, m, 0, 0);
+        if (next.getTime() <= now) next.setDate(next.getDate() + 1);
+        return next;
+    }
+
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        
+        navigator.serviceWorker.register('sw.js')
+            .then(registration => {
+                this.serviceWorker = registration;
+                
+                // A new worker installed behind a running one waits for the user
+                if (registration.waiting && navigator.serviceWorker.controller) {
+                    this.showUpdatePrompt(registration.waiting);
+                }
+                registration.addEventListener('updatefound', () => {
+                    const worker = registration.installing;
+                    worker.addEventListener('statechange', () => {
+                        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                            this.showUpdatePrompt(worker);
+                        }
+                    });
+                });
+            })
+            .catch(err => console.warn('Service worker registration failed', err));
+        
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (!e.data) return;
+            
+            // Snooze pressed on a notification while the app is open
+            if (e.data.type === 'snooze-reminder') {
+                this.snoozeReminder(e.data.id);
+            }
+            
+            // The worker fetched a changed app shell file
+            if (e.data.type === 'update-available') {
+                this.showUpdatePrompt(null);
+            }
+        });
+        
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.reloadOnControllerChange) location.reload();
+        });
+    }
+
+    showUpdatePrompt(worker) {
+        const banner = document.getElementById('updateBanner');
+        banner.style.display = 'flex';
+        
+        document.getElementById('updateReload').onclick = () => {
+            if (worker) {
+                // Activate the waiting worker, then reload under it
+                this.reloadOnControllerChange = true;
+                worker.postMessage({ type: 'skip-waiting' });
+            } else {
+                location.reload();
+            }
+        };
+        document.getElementById('updateDismiss').onclick = () => {
+            banner.style.display = 'none';
+        };
+    }
+
+    scheduleReminders() {
+        // Timers run while the app is open; the service worker shows the notification
+        (this.reminderTimers || []).forEach(timer => clearTimeout(timer));
+        this.reminderTimers = [];
+        
+        const settings = this.getReminderSettings();
+        if (!settings.enabled || !('Notification' in window) || Notification.permission !== 'granted') return;
+        
+        const profile = this.getProfile();
+        this.getReminderDefinitions()
+            .filter(definition => settings.reminders[definition.id].enabled)
+            .forEach(definition => {
+                const time = this.getReminderTime(definition, settings, profile);
+                const delay = this.getNextReminderDate(definition.id, time, settings).getTime() - Date.now();
+                this.reminderTimers.push(setTimeout(() => this.fireReminder(definition.id), delay));
+            });
+    }
+
+    fireReminder(id) {
+        const settings = this.getReminderSettings();
+        const definition = this.getReminderDefinitions().find(d => d.id === id);
+        const time = this.getReminderTime(definition, settings);
+        
+        delete settings.snoozed[id];
+        this.saveReminderSettings(settings);
+        
+        const options = {
+            body: `${definition.body} (${time})`,
+            tag: `reminder-${id}`,
+            data: { id, snoozeMinutes: settings.snoozeMinutes },
+            actions: [{ action: 'snooze', title: `Snooze ${settings.snoozeMinutes} min` }]
+        };
+        
+        if (this.serviceWorker) {
+            this.serviceWorker.showNotification(definition.label, options);
+        } else {
+            new Notification(definition.label, { body: options.body, tag: options.tag });
+        }
+        
+        this.scheduleReminders();
+        this.renderReminderSettings();
+    }
+
+    snoozeReminder(id) {
+        const settings = this.getReminderSettings();
+        settings.snoozed[id] = Date.now() + settings.snoozeMinutes * 60000;
+        this.saveReminderSettings(settings);
+        this.scheduleReminders();
+        this.renderReminderSettings();
+    }
+
+    applyAdjustmentReminders(adjustments) {
+        // Weekly review adjustments switch their reminders on, at the time they ask for,
+        // unless the user has set that reminder themselves
+        const settings = this.getReminderSettings();
+        if (!settings.autoFromAdjustments) return [];
+        
+        const applied = [];
+        adjustments.forEach(adjustment => (adjustment.reminders || []).forEach(({ id, time }) => {
+            const current = settings.reminders[id];
+            if (settings.userChanged[id]) return;
+            if (current.enabled && (!time || current.time === time)) return;
+            settings.reminders[id] = { enabled: true, time: time || current.time };
+            applied.push(id);
+        }));
+        
+        if (applied.length > 0) {
+            this.saveReminderSettings(settings);
+            this.scheduleReminders();
+            this.renderReminderSettings();
+        }
+        return applied;
+    }
+
+    renderReminderSettings() {
+        const settings = this.getReminderSettings();
+        const profile = this.getProfile();
+        
+        document.getElementById('remindersEnabled').checked = settings.enabled;
+        document.getElementById('remindersAuto').checked = settings.autoFromAdjustments;
+        document.getElementById('remindersSnooze').value = settings.snoozeMinutes;
+        document.getElementById('remindersWindDown').value = settings.windDownMinutes;
+        
+        const supported = 'Notification' in window;
+        document.getElementById('reminderPermission').textContent = !supported ? 'Notifications are not supported in this browser.' :
+            Notification.permission === 'denied' ? 'Notifications are blocked for this site. Allow them in the browser settings.' :
+            'Reminders and snoozes only fire while the app is open in a tab or window; closing it pauses them until it is opened again.';
+        
+        document.getElementById('reminderEntries').innerHTML = this.getReminderDefinitions().map(definition => {
+            const reminder = settings.reminders[definition.id];
+            const derived = this.getReminderTime(definition, { ...settings, reminders: { ...settings.reminders, [definition.id]: { time: '' } } }, profile);
+            const snoozed = settings.snoozed[definition.id] > Date.now();
+            const next = this.getNextReminderDate(definition.id, reminder.time || derived, settings);
+            
+            return `
+                <div class="entry-row reminder-row" data-reminder-id="${definition.id}">
+                    <label class="checkbox-label">
+                        <input type="checkbox" class="reminder-enabled" ${reminder.enabled ? 'checked' : ''}>
+                        ${definition.label}
+                    </label>
+                    <label>
+                        Time (blank: ${derived})
+                        <input type="time" class="reminder-time" value="${reminder.time}">
+                    </label>
+                    <span class="reminder-next">${reminder.enabled ?
+                        `${snoozed ? 'Snoozed until' : 'Next'} ${String(next.getHours()).padStart(2, '0')}:${String(next.getMinutes()).padStart(2, '0')}` : 'Off'}</span>
+                    <button type="button" class="btn-secondary" onclick="app.snoozeReminder('${definition.id}')" ${reminder.enabled ? '' : 'disabled'}>Snooze</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    saveReminderSettingsForm() {
+        const settings = this.getReminderSettings();
+        settings.enabled = document.getElementById('remindersEnabled').checked;
+        settings.autoFromAdjustments = document.getElementById('remindersAuto').checked;
+        settings.snoozeMinutes = parseInt(document.getElementById('remindersSnooze').value);
+        settings.windDownMinutes = parseInt(document.getElementById('remindersWindDown').value);
+        
+        if (!(settings.snoozeMinutes > 0) || !(settings.windDownMinutes >= 0)) {
+            alert('Snooze and wind-down must be positive numbers of minutes');
+            return;
+        }
+        
+        document.querySelectorAll('#reminderEntries .reminder-row').forEach(row => {
+            const id = row.dataset.reminderId;
+            const reminder = {
+                enabled: row.querySelector('.reminder-enabled').checked,
+                time: row.querySelector('.reminder-time').value
+            };
+            if (reminder.enabled !== settings.reminders[id].enabled || reminder.time !== settings.reminders[id].time) {
+                settings.userChanged[id] = true;
+            }
+            settings.reminders[id] = reminder;
+        });
+        
+        const finish = () => {
+            this.saveReminderSettings(settings);
+            this.scheduleReminders();
+            this.renderReminderSettings();
+            
+            const status = document.getElementById('reminderStatus');
+            status.style.display = 'block';
+            status.textContent = settings.enabled ? 'Reminders saved and scheduled.' : 'Reminders saved. Notifications are off.';
+        };
+        
+        if (settings.enabled && 'Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission().then(finish);
+        } else {
+            finish();
+        }
+    }
+
+    // ========================================================================
+    // WEEKLY REPORT
+    // ========================================================================
+
+    getIsoWeekStart(dateString) {
+        // Monday of the ISO week containing the date
+        const day = new Date(dateString + 'T00:00:00Z').getUTCDay();
+        return this.addDays(dateString, -((day + 6) % 7));
+    }
+
+    getIsoWeek(dateString) {
+        // ISO weeks belong to the year of their Thursday
+        const thursday = this.addDays(this.getIsoWeekStart(dateString), 3);
+        const yearStart = thursday.slice(0, 4) + '-01-01';
+        const dayOfYear = (new Date(thursday + 'T00:00:00Z') - new Date(yearStart + 'T00:00:00Z')) / 86400000;
+        return `${thursday.slice(0, 4)}-W${String(Math.floor(dayOfYear / 7) + 1).padStart(2, '0')}`;
+    }
+
+    getIsoWeekDate(isoWeek) {
+        // Week 1 is the week containing January 4th
+        const [year, week] = isoWeek.split('-W').map(Number);
+        return this.addDays(this.getIsoWeekStart(`${year}-01-04`), (week - 1) * 7);
+    }
+
+    getReportPeriod() {
+        const type = document.getElementById('reportPeriod').value;
+        const today = this.getLocalDateString(new Date());
+        
+        ['reportWeek', 'reportMonth', 'reportCustomRange'].forEach(id => {
+            document.getElementById(id).style.display = 'none';
+        });
+        
+        // Each period compares against the one immediately before it
+        const days = (start, end) => this.getDateRange(start, end).length;
+        const precedingDays = (start, end) => ({
+            start: this.addDays(start, -days(start, end)),
+            end: this.addDays(start, -1)
+        });
+        
+        if (type === 'last-7') {
+            const start = this.addDays(today, -6);
+            return { start, end: today, label: 'Last 7 days', previousLabel: 'previous 7 days', previous: precedingDays(start, today) };
+        }
+        
+        if (type === 'this-week' || type === 'last-week' || type === 'iso-week') {
+            let start = this.getIsoWeekStart(today);
+            let label = 'This week';
+            
+            if (type === 'last-week') {
+                start = this.addDays(start, -7);
+                label = 'Last week';
+            } else if (type === 'iso-week') {
+                const input = document.getElementById('reportWeek');
+                input.style.display = '';
+                if (!/^\d{4}-W\d{2}$/.test(input.value)) return null;
+                start = this.getIsoWeekDate(input.value);
+                label = input.value;
+            }
+            
+            // Days that haven't happened yet aren't missing
+            const end = this.addDays(start, 6) > today ? today : this.addDays(start, 6);
+            if (start > end) return null;
+            return { start, end, label, previousLabel: 'previous week', previous: precedingDays(start, this.addDays(start, 6)) };
+        }
+        
+        if (type === 'month') {
+            const input = document.getElementById('reportMonth');
+            input.style.display = '';
+            if (!/^\d{4}-\d{2}$/.test(input.value)) return null;
+            
+            const start = input.value + '-01';
+            const monthEnd = this.addDays(this.addDays(start, 31).slice(0, 8) + '01', -1);
+            const end = monthEnd > today ? today : monthEnd;
+            if (start > end) return null;
+            
+            const previousStart = this.addDays(start, -1).slice(0, 8) + '01';
+            return {
+                start,
+                end,
+                label: new Date(start + 'T00:00:00Z').toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' }),
+                previousLabel: 'previous month',
+                previous: { start: previousStart, end: this.addDays(start, -1) }
+            };
+        }
+        
+        // Custom range
+        document.getElementById('reportCustomRange').style.display = '';
+        const start = document.getElementById('reportFrom').value;
+        const end = document.getElementById('reportTo').value;
+        if (!start || !end || start > end) return null;
+        return { start, end, label: 'Custom range', previousLabel: 'previous period', previous: precedingDays(start, end) };
+    }
+
+    calculatePeriodSummary(start, end, allData) {
+        const entries = allData.filter(e => e.date >= start && e.date <= end);
+        const dates = this.getDateRange(start, end);
+        const logged = new Set(entries.map(e => e.date));
+        const summary = { start, end, dates, entries, missing: dates.filter(date => !logged.has(date)) };
+        
+        if (entries.length === 0) return summary;
+        
+        // Debt balance across the period; days before the first entry carry no debt
+        const fullLedger = new Map(this.buildDebtLedger(allData, end).map(row => [row.date, row]));
+        const ledger = dates.map(date => fullLedger.get(date) || { date, missing: true, delta: 0, balance: 0 });
+        const before = fullLedger.get(this.addDays(start, -1));
+        const currentDebt = ledger[ledger.length - 1].balance;
+        
+        // Bedtime consistency
+        const bedtimes = entries.map(e => {
+            const [h, m] = e.bedtime.split(':').map(Number);
+            return h * 60 + m;
+        });
+        const avgBedtime = bedtimes.reduce((sum, t) => sum + t, 0) / bedtimes.length;
+        const variance = bedtimes.reduce((sum, t) => sum + Math.pow(t - avgBedtime, 2), 0) / bedtimes.length;
+        const stdDev = Math.sqrt(variance);
+        
+        return {
+            ...summary,
+            ledger,
+            currentDebt,
+            debtTrend: currentDebt - (before ? before.balance : 0),
+            jetlag: this.calculateSocialJetlag(entries),
+            avgQuality: entries.reduce((sum, e) => sum + e.qualityScore, 0) / entries.length,
+            avgSleep: entries.reduce((sum, e) => sum + e.totalSleepTime, 0) / entries.length,
+            avgEfficiency: entries.reduce((sum, e) => sum + e.sleepEfficiency, 0) / entries.length,
+            stdDev,
+            consistency: Math.max(0, 100 - stdDev),
+            violationCount: this.countViolationsByRule(entries)
+        };
+    }
+
+    formatPeriodDelta(current, previous, format, lowerIsBetter = false) {
+        const delta = Math.round(current - previous);
+        if (delta === 0) return { text: 'no change', className: '' };
+        
+        const improved = lowerIsBetter ? delta < 0 : delta > 0;
+        return {
+            text: `${delta > 0 ? '+' : '-'}${format(Math.abs(delta))}`,
+            className: improved ? 'delta-better' : 'delta-worse'
+        };
+    }
+
+    renderPeriodDeltas(summary, previous, previousLabel) {
+        const cards = {
+            weeklyDebtDelta: ['currentDebt', v => this.formatMinutes(v), true],
+            weeklySocialJetlagDelta: [null, v => `${v}m`, true],
+            weeklyAvgQualityDelta: ['avgQuality', v => v, false],
+            weeklyConsistencyDelta: ['consistency', v => v, false]
+        };
+        
+        Object.entries(cards).forEach(([id, [key, format, lowerIsBetter]]) => {
+            const element = document.getElementById(id);
+            element.className = 'metric-delta';
+            
+            if (summary.entries.length === 0 || previous.entries.length === 0) {
+                element.textContent = summary.entries.length > 0 ? `No data for ${previousLabel}` : '';
+                return;
+            }
+            
+            const value = s => key ? s[key] : s.jetlag.jetlag;
+            const delta = this.formatPeriodDelta(value(summary), value(previous), format, lowerIsBetter);
+            element.textContent = `${delta.text} vs ${previousLabel}`;
+            if (delta.className) element.classList.add(delta.className);
+        });
+    }
+
+    async generateWeeklyReport() {
+        const allData = await this.getAllData();
+        await this.renderTrendCharts(allData);
+        
+        const period = this.getReportPeriod();
+        const labelDiv = document.getElementById('reportPeriodLabel');
+        const cards = ['weeklyDebtTrend', 'weeklySocialJetlag', 'weeklyAvgQuality', 'weeklyConsistency'];
+        const details = ['weeklyDebtDetail', 'weeklyDebtLedger', 'weeklySocialJetlagDetail', 'weeklyQualityDetail',
+            'weeklyConsistencyDetail', 'weeklyViolations', 'weeklyAdjustments'];
+        
+        if (!period) {
+            labelDiv.textContent = 'Choose a valid period';
+            await this.renderProfileComparison(null, allData);
+            return;
+        }
+        
+        const summary = this.calculatePeriodSummary(period.start, period.end, allData);
+        const previous = this.calculatePeriodSummary(period.previous.start, period.previous.end, allData);
+        await this.renderProfileComparison(period, allData);
+        labelDiv.textContent = `${period.label}: ${period.start} to ${period.end}. ` +
+            `${summary.entries.length} of ${summary.dates.length} nights logged` +
+            (summary.missing.length > 0 ? `, missing ${summary.missing.map(date => date.slice(5)).join(', ')}` : '');
+        this.renderPeriodDeltas(summary, previous, period.previousLabel);
+        
+        if (summary.entries.length === 0) {
+            cards.forEach(id => document.getElementById(id).textContent = 'No data');
+            details.forEach(id => document.getElementById(id).innerHTML = '');
+            return;
+        }
+        
+        const { ledger, currentDebt, debtTrend, jetlag, avgQuality, avgSleep, avgEfficiency, stdDev, consistency, violationCount } = summary;
+        
+        // Sleep debt balance over the period
+        document.getElementById('weeklyDebtTrend').textContent = this.formatMinutes(currentDebt);
+        document.getElementById('weeklyDebtDetail').textContent = 
+            debtTrend > 0 ? `Accumulating deficit (${this.formatDebtChange(debtTrend)} this period)` :
+            currentDebt > 0 ? `Repaying (${this.formatDebtChange(debtTrend)} this period)` : 'Well rested';
+        document.getElementById('weeklyDebtLedger').innerHTML = ledger.map(row => `
+            <div class="ledger-row${row.missing ? ' missing' : ''}">
+                <span>${row.date.slice(5)}</span>
+                <span>${row.missing ? 'no entry' : this.formatDebtChange(row.delta)}</span>
+                <span>${this.formatMinutes(row.balance)}</span>
+            </div>
+        `).join('');
+        
+        // Social jetlag
+        const alignment = jetlag.jetlag > 90 ? 'High misalignment' : jetlag.jetlag > 30 ? 'Moderate' : 'Good alignment';
+        document.getElementById('weeklySocialJetlag').textContent = `${jetlag.jetlag}m`;
+        document.getElementById('weeklySocialJetlagDetail').textContent = 
+            `${alignment}. ${this.formatSocialJetlagDetail(jetlag)}`;
+        
+        // Average quality
+        document.getElementById('weeklyAvgQuality').textContent = Math.round(avgQuality);
+        document.getElementById('weeklyQualityDetail').textContent = 
+            this.getScoreBand(avgQuality) +
+            `. Avg sleep ${this.formatMinutes(avgSleep)} at ${Math.round(avgEfficiency)}% efficiency`;
+        
+        // Consistency
+        document.getElementById('weeklyConsistency').textContent = Math.round(consistency);
+        document.getElementById('weeklyConsistencyDetail').textContent = 
+            stdDev < 30 ? 'Very consistent' : stdDev < 60 ? 'Moderate' : 'Inconsistent';
+        
+        // Violation frequency, including rules that only fired last period
+        const rules = this.getRules();
+        const previousCount = previous.violationCount || {};
+        const ruleIds = [...new Set([...Object.keys(violationCount), ...Object.keys(previousCount)])];
+        
+        const violationsDiv = document.getElementById('weeklyViolations');
+        if (ruleIds.length > 0) {
+            violationsDiv.innerHTML = ruleIds
+                .map(ruleId => [ruleId, violationCount[ruleId] || 0, previousCount[ruleId] || 0])
+                .sort((a, b) => b[1] - a[1] || b[2] - a[2])
+                .map(([ruleId, count, before]) => {
+                    const delta = this.formatPeriodDelta(count, before, v => v, true);
+                    return `
+                        <div class="violation-freq-item">
+                            <span>${this.escapeHTML(this.getRuleName(ruleId, rules))}</span>
+                            <span>${count}x <span class="metric-delta ${delta.className}">(${previous.entries.length > 0 ? delta.text : 'n/a'})</span></span>
+                        </div>
+                    `;
+                }).join('');
+        } else {
+            violationsDiv.innerHTML = '<div style="color: var(--success)">No violations this period</div>';
+        }
+        
+        // Adjustments
+        const adjustmentsDiv = document.getElementById('weeklyAdjustments');
+        const adjustments = [];
+        
+        if (currentDebt > 120) {
+            adjustments.push({
+                title: 'Sleep Debt Recovery',
+                text: 'Extend sleep window by 30-60 minutes for next 3 nights. Target bedtime 30min earlier.',
+                reminders: [
+                    { id: 'wind-down' },
+                    { id: 'bedtime', time: this.addMinutesToTime(this.getProfile().targetBedtime, -30) }
+                ]
+            });
+        }
+        
+        if (jetlag.jetlag > 90) {
+            adjustments.push({
+                title: 'Social Jetlag Correction',
+                text: `Free-day mid-sleep (${jetlag.msf}) must move toward work-day mid-sleep (${jetlag.msw}). Keep free-day wake time within 60 minutes of work days. Set alarm.`
+            });
+        }
+        
+        if (violationCount['caffeine-at-bedtime'] >= 3) {
+            adjustments.push({
+                title: 'Caffeine Cutoff Enforcement',
+                text: 'No caffeine after 2:00 PM. Half-life model shows 100mg at 2PM = 25mg at 10PM.',
+                reminders: [{ id: 'caffeine-cutoff', time: '14:00' }]
+            });
+        }
+        
+        if (violationCount['late-screen'] >= 4) {
+            adjustments.push({
+                title: 'Screen Curfew',
+                text: 'Implement 2-hour screen cutoff. Use amber glasses if unavoidable. Blue light blocks melatonin.',
+                reminders: [{ id: 'screen-curfew', time: this.addMinutesToTime(this.getProfile().targetBedtime, -120) }]
+            });
+        }
+        
+        if (avgQuality < 60) {
+            adjustments.push({
+                title: 'System Override',
+                text: 'Quality below threshold. Enforce all hard rules for 7 days. No exceptions.',
+                reminders: ['caffeine-cutoff', 'heavy-meal', 'exercise-cutoff', 'screen-curfew'].map(id => ({ id }))
+            });
+        }
+        
+        // Only the period running now drives reminders; past periods are read-only
+        const today = this.getLocalDateString(new Date());
+        const isCurrent = period.start <= today && today <= period.end;
+        if (isCurrent) this.applyAdjustmentReminders(adjustments);
+        const reminderSettings = this.getReminderSettings();
+        const definitions = this.getReminderDefinitions();
+        
+        if (adjustments.length > 0) {
+            adjustmentsDiv.innerHTML = adjustments.map(a => `
+                <div class="adjustment-item">
+                    <h4>${a.title}</h4>
+                    <p>${a.text}</p>
+                    ${isCurrent && reminderSettings.autoFromAdjustments && a.reminders &&
+                        a.reminders.some(({ id }) => reminderSettings.reminders[id].enabled) ? `
+                        <p class="adjustment-reminder">Reminders on: ${a.reminders.filter(({ id }) => reminderSettings.reminders[id].enabled).map(({ id }) => {
+                            const definition = definitions.find(d => d.id === id);
+                            return `${definition.label} ${this.getReminderTime(definition, reminderSettings)}`;
+                        }).join(', ')}</p>
+                    ` : ''}
+                </div>
+            `).join('');
+        } else {
+            adjustmentsDiv.innerHTML = '<div style="color: var(--success)">System operating within parameters</div>';
+        }
+    }
+
+    // ========================================================================
+    // TREND CHARTS
+    // ========================================================================
+
+    getTrendRange() {
+        const range = document.getElementById('trendRange').value;
+        const custom = range === 'custom';
+        document.getElementById('trendCustomRange').style.display = custom ? '' : 'none';
+        
+        if (custom) {
+            return {
+                start: document.getElementById('trendFrom').value,
+                end: document.getElementById('trendTo').value
+            };
+        }
+        
+        const end = this.getLocalDateString(new Date());
+        return { start: this.addDays(end, 1 - parseInt(range)), end };
+    }
+
+    getTrendColors() {
+        return {
+            sleepDuration: '#2563eb',
+            sleepEfficiency: '#0891b2',
+            sleepDebt: '#7c3aed',
+            circadian: '#db2777',
+            caffeine: '#ca8a04',
+            alcohol: '#dc2626',
+            naps: '#65a30d',
+            exercise: '#ea580c',
+            screens: '#0d9488',
+            meals: '#a16207',
+            environment: '#64748b'
+        };
+    }
+
+    async renderTrendCharts(allData = null) {
+        const container = document.getElementById('trendCharts');
+        const { start, end } = this.getTrendRange();
+        
+        if (!start || !end || start > end) {
+            container.innerHTML = '<p class="trend-empty">Choose a start date on or before the end date</p>';
+            return;
+        }
+        
+        allData = allData || await this.getAllData();
+        const byDate = Object.fromEntries(allData.map(e => [e.date, e]));
+        const dates = this.getDateRange(start, end);
+        const nights = dates.map(date => byDate[date] || null);
+        
+        if (!nights.some(Boolean)) {
+            container.innerHTML = '<p class="trend-empty">No entries in this range</p>';
+            return;
+        }
+        
+        const profile = this.getProfile();
+        const tickStep = Math.ceil(dates.length / 8);
+        const axis = {
+            xMin: -0.5,
+            xMax: dates.length - 0.5,
+            xTicks: dates.map((date, i) => ({ x: i, label: date.slice(5) })).filter(tick => tick.x % tickStep === 0)
+        };
+        const points = fn => nights.map((e, i) => ({ x: i, y: e ? fn(e, i) : null, date: e ? e.date : null }));
+        
+        // Bed and wake times on a clock running from 18:00 to 12:00
+        const clock = time => {
+            const [h, m] = time.split(':').map(Number);
+            return ((h * 60 + m - 18 * 60 + 1440) % 1440) / 60;
+        };
+        const windows = nights.map((e, i) => e && { x: i, from: clock(e.bedtime), to: clock(e.waketime), color: 'var(--primary)', date: e.date })
+            .filter(Boolean);
+        const targetBed = clock(profile.targetBedtime);
+        const targetWake = clock(profile.targetWaketime);
+        const clockTop = Math.max(0, Math.floor(Math.min(targetBed, ...windows.map(w => w.from)) - 1));
+        const clockBottom = Math.min(18, Math.ceil(Math.max(targetWake, ...windows.map(w => w.to)) + 1));
+        
+        // Quality score with a trailing 7-day moving average
+        const movingAverage = nights.map((e, i) => {
+            const recent = nights.slice(Math.max(0, i - 6), i + 1).filter(Boolean);
+            return { x: i, y: e ? recent.reduce((sum, n) => sum + n.qualityScore, 0) / recent.length : null };
+        });
+        
+        // Debt balance from the repayment ledger
+        const ledger = Object.fromEntries(this.buildDebtLedger(allData, end).map(row => [row.date, row]));
+        const debtPoints = dates.map((date, i) => ({
+            x: i,
+            y: ledger[date] ? ledger[date].balance / 60 : null,
+            date: byDate[date] ? date : null
+        }));
+        
+        // Penalty contributions stacked per night
+        const colors = this.getTrendColors();
+        const penaltyBars = [];
+        nights.forEach((e, i) => {
+            if (!e) return;
+            let total = 0;
+            Object.entries(e.breakdown).forEach(([factor, data]) => {
+                if (data.penalty >= 0) return;
+                penaltyBars.push({ x: i, from: total, to: total - data.penalty, color: colors[factor] || 'var(--text-dim)', date: e.date });
+                total -= data.penalty;
+            });
+        });
+        const maxPenalty = Math.max(10, ...penaltyBars.map(b => b.to));
+        const factors = [...new Set(nights.filter(Boolean)
+            .flatMap(e => Object.keys(e.breakdown).filter(factor => e.breakdown[factor].penalty < 0)))];
+        
+        const hours = v => `${Math.round(v * 10) / 10}h`;
+        const durations = points(e => e.totalSleepTime / 60);
+        
+        container.innerHTML = `
+            <div class="trend-chart">
+                <h3>Bedtime and Wake Time</h3>
+                ${this.renderLineChart({
+                    ...axis,
+                    series: [],
+                    bars: windows,
+                    yMin: clockBottom,
+                    yMax: clockTop,
+                    yFormat: v => this.addMinutesToTime('18:00', Math.round(v * 60)),
+                    guides: [
+                        { y: targetBed, label: `Target bed ${profile.targetBedtime}` },
+                        { y: targetWake, label: `Target wake ${profile.targetWaketime}` }
+                    ]
+                })}
+            </div>
+            <div class="trend-chart">
+                <h3>Sleep Duration vs Target</h3>
+                ${this.renderLineChart({
+                    ...axis,
+                    series: [{ points: durations, color: 'var(--primary)', markers: true }],
+                    yMax: Math.max(10, ...durations.filter(p => p.y !== null).map(p => Math.ceil(p.y))),
+                    yFormat: hours,
+                    guides: [
+                        { y: profile.sleepNeed / 60, label: `Need ${this.formatMinutes(profile.sleepNeed)}` },
+                        { y: profile.minSleep / 60, label: `Minimum ${this.formatMinutes(profile.minSleep)}` }
+                    ]
+                })}
+            </div>
+            <div class="trend-chart">
+                <h3>Quality Score (line: 7-day average)</h3>
+                ${this.renderLineChart({
+                    ...axis,
+                    series: [
+                        { points: movingAverage, color: 'var(--text-dim)' },
+                        { points: points(e => e.qualityScore), color: 'var(--success)', markers: true }
+                    ],
+                    yMax: 100,
+                    yFormat: v => Math.round(v)
+                })}
+            </div>
+            <div class="trend-chart">
+                <h3>Sleep Debt Balance</h3>
+                ${this.renderLineChart({
+                    ...axis,
+                    series: [{ points: debtPoints, color: 'var(--warning)', markers: true }],
+                    yMax: Math.max(2, ...debtPoints.filter(p => p.y !== null).map(p => Math.ceil(p.y))),
+                    yFormat: hours
+                })}
+            </div>
+            <div class="trend-chart">
+                <h3>Penalty Contributions</h3>
+                ${this.renderLineChart({
+                    ...axis,
+                    series: [],
+                    bars: penaltyBars,
+                    yMax: maxPenalty,
+                    yFormat: v => Math.round(v)
+                })}
+                <div class="chart-legend">
+                    ${factors.map(factor => `
+                        <span><i style="background: ${colors[factor] || 'var(--text-dim)'}"></i>${factor.replace(/([A-Z])/g, ' $1').toLowerCase()}</span>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    async showTrendTooltip(e) {
+        const tooltip = document.getElementById('trendTooltip');
+        const target = e.target.closest('[data-date]');
+        const entry = target && await this.getEntryByDate(target.getAttribute('data-date'));
+        
+        if (!entry) {
+            tooltip.style.display = 'none';
+            return;
+        }
+        
+        tooltip.innerHTML = `
+            <strong>${entry.date}</strong>
+            <div>${entry.bedtime} - ${entry.waketime}, ${this.formatMinutes(entry.totalSleepTime)} asleep (${entry.sleepEfficiency}%)</div>
+            <div>Score ${entry.qualityScore}, debt ${this.formatMinutes(entry.sleepDebt)}</div>
+            <div>${entry.violations.length} violations</div>
+            <div class="tooltip-hint">Click to open</div>
+        `;
+        
+        const bounds = document.getElementById('trends').getBoundingClientRect();
+        tooltip.style.left = `${e.clientX - bounds.left + 12}px`;
+        tooltip.style.top = `${e.clientY - bounds.top + 12}px`;
+        tooltip.style.display = 'block';
+    }
+
+    openTrendEntry(e) {
+        const target = e.target.closest('[data-date]');
+        if (!target) return;
+        
+        document.getElementById('trendTooltip').style.display = 'none';
+        document.getElementById('entryDate').value = target.getAttribute('data-date');
+        this.switchTab('daily');
+        this.loadEntry().catch(err => this.reportError(err));
+    }
+
+    // ========================================================================
+    // HISTORY CALENDAR
+    // ========================================================================
+
+    getCalendarFilters() {
+        const severities = entry => entry.violations.map(v => this.normalizeViolation(v));
+        const exposures = this.getDayExposures();
+        
+        return [
+            { id: 'alcohol', label: 'nights with alcohol', test: exposures.alcohol },
+            { id: 'caffeine-after-14', label: 'caffeine after 14:00', test: exposures['caffeine-after-14'] },
+            { id: 'nap', label: 'nights after a nap', test: exposures.nap },
+            { id: 'low-score', label: 'score < 60', test: entry => entry.qualityScore < 60 },
+            { id: 'short-sleep', label: 'under 7h asleep', test: entry => entry.totalSleepTime < 7 * 60 },
+            { id: 'sleep-debt', label: 'sleep debt over 2h', test: entry => entry.sleepDebt > 120 },
+            { id: 'violations', label: 'any violation', test: entry => entry.violations.length > 0 },
+            { id: 'critical', label: 'critical violations', test: entry => severities(entry).some(v => v.severity === 'critical') },
+            { id: 'screen-violations', label: 'screen violations', test: entry => severities(entry).some(v => v.ruleId === 'late-screen') }
+        ];
+    }
+
+    getScoreBand(score) {
+        return score >= 80 ? 'Excellent' : score >= 60 ? 'Good' : score >= 40 ? 'Fair' : 'Poor';
+    }
+
+    renderCalendarFilters() {
+        document.getElementById('calendarFilters').innerHTML = this.getCalendarFilters().map(filter => `
+            <label class="checkbox-label">
+                <input type="checkbox" class="calendar-filter" value="${filter.id}" onchange="app.renderCalendar()">
+                ${filter.label}
+            </label>
+        `).join('');
+    }
+
+    getCalendarMonths() {
+        const view = document.getElementById('calendarView').value;
+        const input = document.getElementById('calendarMonth');
+        if (!input.value) input.value = this.getLocalDateString(new Date()).slice(0, 7);
+        
+        if (view === 'year') {
+            const year = input.value.slice(0, 4);
+            return Array.from({ length: 12 }, (_, i) => `${year}-${String(i + 1).padStart(2, '0')}`);
+        }
+        return [input.value];
+    }
+
+    getMonthEnd(month) {
+        return this.addDays(this.addDays(`${month}-01`, 31).slice(0, 8) + '01', -1);
+    }
+
+    formatCalendarMonth(month) {
+        return new Date(`${month}-01T00:00:00Z`).toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    }
+
+    shiftCalendar(step) {
+        const input = document.getElementById('calendarMonth');
+        const months = document.getElementById('calendarView').value === 'year' ? 12 * step : step;
+        const [year, month] = (input.value || this.getLocalDateString(new Date()).slice(0, 7)).split('-').map(Number);
+        const shifted = new Date(Date.UTC(year, month - 1 + months, 1));
+        
+        input.value = shifted.toISOString().slice(0, 7);
+        this.renderCalendar().catch(err => this.reportError(err));
+    }
+
+    async renderCalendar(allData = null) {
+        const months = this.getCalendarMonths();
+        const filters = this.getCalendarFilters();
+        const active = [...document.querySelectorAll('.calendar-filter:checked')]
+            .map(input => filters.find(f => f.id === input.value));
+        
+        allData = allData || await this.getAllData();
+        const byDate = Object.fromEntries(allData.map(e => [e.date, e]));
+        const dates = allData.map(e => e.date).sort();
+        
+        // A day is missing only between the first logged night and today
+        const context = {
+            byDate,
+            active,
+            today: this.getLocalDateString(new Date()),
+            firstDate: dates[0] || null
+        };
+        
+        const grid = document.getElementById('calendarGrid');
+        grid.className = `calendar-grid calendar-${months.length > 1 ? 'year' : 'month'}`;
+        grid.innerHTML = months.map(month => this.renderCalendarMonth(month, context)).join('');
+        
+        // Summary of the visible period
+        const start = `${months[0]}-01`;
+        const end = this.getMonthEnd(months[months.length - 1]);
+        const nights = allData.filter(e => e.date >= start && e.date <= end);
+        const missing = context.firstDate ? this.getDateRange(start, end)
+            .filter(date => date >= context.firstDate && date <= context.today && !byDate[date]).length : 0;
+        const label = months.length > 1 ? months[0].slice(0, 4) : this.formatCalendarMonth(months[0]);
+        const summary = document.getElementById('calendarSummary');
+        
+        if (!nights.length) {
+            summary.textContent = `No entries in ${label}`;
+        } else if (active.length) {
+            const matches = nights.filter(e => active.every(f => f.test(e))).length;
+            summary.textContent = `${matches} of ${nights.length} nights in ${label} match ${active.map(f => f.label).join(' and ')}`;
+        } else {
+            const average = nights.reduce((sum, e) => sum + e.qualityScore, 0) / nights.length;
+            const withViolations = nights.filter(e => e.violations.length > 0).length;
+            summary.textContent = `${nights.length} nights logged in ${label}, ${missing} missing. ` +
+                `Average score ${Math.round(average)}, ${withViolations} nights with violations`;
+        }
+    }
+
+    renderCalendarMonth(month, { byDate, active, today, firstDate }) {
+        const first = `${month}-01`;
+        const days = this.getDateRange(first, this.getMonthEnd(month));
+        const offset = (new Date(first + 'T00:00:00Z').getUTCDay() + 6) % 7;
+        
+        const cells = days.map(date => {
+            const entry = byDate[date];
+            const classes = ['calendar-day'];
+            let title;
+            let content = `<span class="calendar-date">${parseInt(date.slice(8))}</span>`;
+            
+            if (entry) {
+                const violations = entry.violations.map(v => this.normalizeViolation(v));
+                const severity = violations.some(v => v.severity === 'critical') ? 'critical' : 'warning';
+                classes.push(`heat-${this.getScoreBand(entry.qualityScore).toLowerCase()}`);
+                content += `<span class="calendar-score">${entry.qualityScore}</span>`;
+                if (violations.length) {
+                    content += `<span class="calendar-marker ${severity}">${violations.length}</span>`;
+                }
+                title = `${date}: score ${entry.qualityScore}, ${violations.length} violations`;
+            } else if (firstDate && date >= firstDate && date <= today) {
+                classes.push('missing');
+                title = `${date}: no entry`;
+            } else {
+                classes.push('empty');
+                title = date;
+            }
+            
+            if (active.length && !(entry && active.every(f => f.test(entry)))) classes.push('filtered-out');
+            if (date === today) classes.push('today');
+            
+            return `<button type="button" class="${classes.join(' ')}" data-date="${date}" title="${title}"
+                ${date > today ? 'disabled' : ''}>${content}</button>`;
+        });
+        
+        return `
+            <div class="calendar-month">
+                <h3>${this.formatCalendarMonth(month)}</h3>
+                <div class="calendar-days">
+                    ${['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map(d => `<span class="calendar-weekday">${d}</span>`).join('')}
+                    ${'<span></span>'.repeat(offset)}
+                    ${cells.join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    openCalendarDay(e) {
+        const target = e.target.closest('[data-date]');
+        if (!target || target.disabled) return;
+        
+        const date = target.getAttribute('data-date');
+        document.getElementById('entryDate').value = date;
+        this.switchTab('daily');
+        
+        // Missing days open an empty form ready to fill in
+        if (target.classList.contains('missing') || target.classList.contains('empty')) {
+            this.clearDailyForm();
+            return;
+        }
+        this.loadEntry().catch(err => this.reportError(err));
+    }
+
+    // ========================================================================
+    // INSIGHTS ENGINE
+    // ========================================================================
+
+    getInsightFactors() {
+        const metrics = this.getRuleMetrics();
+        const any = (metric, test) => entry => metrics[metric].measure(entry).some(test);
+        const exposures = this.getDayExposures();
+        
+        // Exposures read from the raw log
+        const factors = [
+            { id: 'caffeine-after-14', label: 'caffeine after 14:00', test: exposures['caffeine-after-14'] },
+            { id: 'alcohol', label: 'any alcohol', test: exposures.alcohol },
+            { id: 'nap', label: 'a nap', test: exposures.nap },
+            { id: 'late-exercise', label: 'exercise within 3h of bed', test: any('exerciseLead', h => h < 3) },
+            { id: 'late-screen', label: 'screens within 1h of bed', test: any('screenLead', m => m < 60) },
+            { id: 'late-heavy-meal', label: 'a heavy meal within 3h of bed', test: any('heavyMealLead', h => h < 3) }
+        ];
+        
+        // Exposures read from the stored score breakdown: was the factor penalised that night?
+        ['circadian', 'caffeine', 'alcohol', 'naps', 'exercise', 'screens', 'meals', 'environment'].forEach(key => {
+            factors.push({
+                id: `penalty-${key}`,
+                label: `${/^[aeiou]/.test(key) ? 'an' : 'a'} ${key} penalty`,
+                test: entry => entry.breakdown[key] ? entry.breakdown[key].penalty < 0 : null
+            });
+        });
+        
+        return factors;
+    }
+
+    getInsightPredictors() {
+        return [
+            { id: 'temp', label: 'room temperature', step: 1, unit: '°F', value: entry => entry.environment.temp },
+            { id: 'noise', label: 'noise', step: 10, unit: 'dB', value: entry => entry.environment.noise },
+            { id: 'light', label: 'light', step: 10, unit: 'lux', value: entry => entry.environment.light },
+            { id: 'caffeine', label: 'caffeine', step: 100, unit: 'mg', value: entry => entry.caffeine.reduce((sum, c) => sum + c.mg, 0) },
+            { id: 'alcohol', label: 'alcohol', step: 1, unit: ' unit', value: entry => entry.alcohol.reduce((sum, a) => sum + a.units, 0) }
+        ];
+    }
+
+    getInsightOutcomes() {
+        return [
+            { id: 'quality', label: 'Quality Score', value: entry => entry.qualityScore, format: v => `${Math.round(v * 10) / 10} points`, higher: 'higher', lower: 'lower' },
+            { id: 'duration', label: 'Sleep Duration', value: entry => entry.totalSleepTime, format: v => `${Math.round(v)} min`, higher: 'longer', lower: 'shorter' }
+        ];
+    }
+
+    getTCritical(df) {
+        // Two-sided 95% t quantile (Cornish-Fisher expansion around z = 1.96)
+        const z = 1.96;
+        if (!Number.isFinite(df) || df <= 0) return Infinity;
+        return z + (Math.pow(z, 3) + z) / (4 * df) + (5 * Math.pow(z, 5) + 16 * Math.pow(z, 3) + 3 * z) / (96 * df * df);
+    }
+
+    compareGroups(exposed, unexposed) {
+        // Welch's t interval for the difference of means
+        const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+        const variance = (values, m) => values.reduce((sum, v) => sum + Math.pow(v - m, 2), 0) / (values.length - 1);
+        const m1 = mean(exposed);
+        const m2 = mean(unexposed);
+        const a = variance(exposed, m1) / exposed.length;
+        const b = variance(unexposed, m2) / unexposed.length;
+        const se = Math.sqrt(a + b);
+        const df = se > 0 ? Math.pow(a + b, 2) / (a * a / (exposed.length - 1) + b * b / (unexposed.length - 1)) :
+            exposed.length + unexposed.length - 2;
+        const margin = this.getTCritical(df) * se;
+        const effect = m1 - m2;
+        
+        return { effect, low: effect - margin, high: effect + margin, se };
+    }
+
+    fitRegression(points) {
+        // Ordinary least squares slope with its t interval
+        const n = points.length;
+        const mx = points.reduce((sum, p) => sum + p.x, 0) / n;
+        const my = points.reduce((sum, p) => sum + p.y, 0) / n;
+        const sxx = points.reduce((sum, p) => sum + Math.pow(p.x - mx, 2), 0);
+        const sxy = points.reduce((sum, p) => sum + (p.x - mx) * (p.y - my), 0);
+        const slope = sxy / sxx;
+        const sse = points.reduce((sum, p) => sum + Math.pow(p.y - my - slope * (p.x - mx), 2), 0);
+        const se = Math.sqrt(sse / (n - 2) / sxx);
+        const margin = this.getTCritical(n - 2) * se;
+        
+        return { effect: slope, low: slope - margin, high: slope + margin, se };
+    }
+
+    calculateInsights(entries) {
+        const minGroup = 5; // nights needed on each side of a comparison
+        const minRegression = 10; // nights needed for a slope
+        const findings = [];
+        let hidden = 0;
+        
+        this.getInsightOutcomes().forEach(outcome => {
+            this.getInsightFactors().forEach(factor => {
+                const exposed = [];
+                const unexposed = [];
+                entries.forEach(entry => {
+                    const result = factor.test(entry);
+                    if (result === null) return;
+                    (result ? exposed : unexposed).push(outcome.value(entry));
+                });
+                
+                if (exposed.length === 0) return;
+                if (exposed.length < minGroup || unexposed.length < minGroup) {
+                    hidden++;
+                    return;
+                }
+                
+                findings.push({
+                    kind: 'group',
+                    outcome,
+                    factor,
+                    n: [exposed.length, unexposed.length],
+                    ...this.compareGroups(exposed, unexposed)
+                });
+            });
+            
+            this.getInsightPredictors().forEach(predictor => {
+                const points = entries.map(entry => ({ x: predictor.value(entry) / predictor.step, y: outcome.value(entry) }))
+                    .filter(p => Number.isFinite(p.x) && Number.isFinite(p.y));
+                const distinct = new Set(points.map(p => p.x)).size;
+                
+                if (distinct < 2) return;
+                if (points.length < minRegression || distinct < 3) {
+                    hidden++;
+                    return;
+                }
+                
+                findings.push({
+                    kind: 'slope',
+                    outcome,
+                    factor: predictor,
+                    n: [points.length],
+                    ...this.fitRegression(points)
+                });
+            });
+        });
+        
+        // Intervals that exclude zero are the clear findings; strongest first
+        findings.forEach(f => f.clear = f.low > 0 || f.high < 0);
+        findings.sort((a, b) => (b.clear - a.clear) || Math.abs(b.effect / (b.se || 1)) - Math.abs(a.effect / (a.se || 1)));
+        
+        return { findings, hidden, minGroup, minRegression };
+    }
+
+    formatInsight(finding) {
+        const { outcome, factor, effect, low, high, n } = finding;
+        const size = v => outcome.format(Math.abs(v));
+        const direction = v => v >= 0 ? outcome.higher : outcome.lower;
+        const interval = `95% CI ${low >= 0 ? '+' : '-'}${size(low)} to ${high >= 0 ? '+' : '-'}${size(high)}`;
+        
+        if (finding.kind === 'group') {
+            return {
+                text: `Nights with ${factor.label} average ${size(effect)} ${direction(effect)}`,
+                detail: `${interval}; n=${n[0]} with, ${n[1]} without`
+            };
+        }
+        
+        return {
+            text: `Each +${factor.step}${factor.unit} of ${factor.label}: ${size(effect)} ${direction(effect)}`,
+            detail: `${interval}; n=${n[0]} nights`
+        };
+    }
+
+    async renderInsights() {
+        const data = await this.getAllData();
+        const { findings, hidden, minGroup, minRegression } = this.calculateInsights(data);
+        
+        document.getElementById('insightsSummary').textContent =
+            `Based on ${data.length} nights. Comparisons need ${minGroup}+ nights with and without a factor; ` +
+            `slopes need ${minRegression}+ nights.` + (hidden > 0 ? ` ${hidden} findings hidden for too little data.` : '');
+        
+        document.getElementById('insightsResults').innerHTML = this.getInsightOutcomes().map(outcome => {
+            const rows = findings.filter(f => f.outcome.id === outcome.id);
+            return `
+                <div class="insight-group">
+                    <h3>${outcome.label}</h3>
+                    ${rows.length > 0 ? rows.map(f => {
+                        const { text, detail } = this.formatInsight(f);
+                        return `
+                            <div class="insight-item${f.clear ? ' clear' : ''}">
+                                <div>${this.escapeHTML(text)}</div>
+                                <div class="insight-detail">${this.escapeHTML(detail)}${f.clear ? '' : ' (interval includes no effect)'}</div>
+                            </div>
+                        `;
+                    }).join('') : '<p class="insight-detail">Not enough data yet</p>'}
+                </div>
+            `;
+        }).join('');
+    }
+
+    // ========================================================================
+    // DATA EXPORT
+    // ========================================================================
+
+    async updateDataSummary() {
+        const data = await this.getAllData();
+        const summary = {
+            totalEntries: data.length,
+            dateRange: data.length > 0 ? `${data[0].date} to ${data[data.length - 1].date}` : 'No data',
+            avgQualityScore: data.length > 0 ? 
+                Math.round(data.reduce((sum, e) => sum + e.qualityScore, 0) / data.length) : 0,
+            currentSleepDebt: this.getCumulativeSleepDebt(data)
+        };
+        
+        document.getElementById('dataSummary').textContent = JSON.stringify(summary, null, 2);
+    }
+
+    async exportJSON() {
+        const data = await this.getAllData();
+        const dataStr = JSON.stringify(data, null, 2);
+        const blob = new Blob([dataStr], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
         
-        // Circadian penalty
-        const circadian = this.calculateCircadianAlignment(entry.bedtime, entry.waketime, entry.date);
-        breakdown.circadian = {
-            value: `Bed: ${Math.round(circadian.bedDeviation)}m, Wake: ${Math.round(circadian.wakeDeviation)}m`,
-            penalty: -Math.round(circadian.penalty)
-        };
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `sleep-system-data-${this.getProfileSlug()}-${new Date().toISOString().split('T')[0]}.json`;
+        a.click();
         
-        // Caffeine penalty
-        const caffeineResult = this.calculateCaffeinePenalty(entry.caffeine, entry.bedtime);
-        breakdown.caffeine = {
-            value: `${Math.round(caffeineResult.remaining)}mg remaining`,
-            penalty: -Math.round(caffeineResult.penalty)
-        };
+        URL.revokeObjectURL(url);
+    }
+
+    async exportWeeklyReport() {
+        const period = this.getReportPeriod();
+        if (!period) {
+            alert('Choose a valid report period');
+            return;
+        }
         
-        // Alcohol penalty
-        const alcoholResult = this.calculateAlcoholPenalty(entry.alcohol, entry.bedtime);
-        breakdown.alcohol = {
-            value: entry.alcohol.reduce((sum, a) => sum + a.units, 0) + ' units',
-            penalty: -Math.round(alcoholResult.penalty)
-        };
+        const allData = await this.getAllData();
+        const summary = this.calculatePeriodSummary(period.start, period.end, allData);
+        const previous = this.calculatePeriodSummary(period.previous.start, period.previous.end, allData);
         
-        // Exercise penalty
-        const exerciseResult = this.calculateExercisePenalty(entry.exercise, entry.bedtime);
-        breakdown.exercise = {
-            value: entry.exercise.length + ' sessions',
-            penalty: -Math.round(exerciseResult.penalty)
-        };
+        if (summary.entries.length === 0) {
+            alert('No data to export for this period');
+            return;
+        }
         
-        // Screen penalty
-        const screenResult = this.calculateScreenPenalty(entry.screens, entry.bedtime);
-        breakdown.screens = {
-            value: entry.screens.length + ' sessions',
-            penalty: -Math.round(screenResult.penalty)
-        };
+        const { entries, ledger, currentDebt, jetlag, avgQuality, consistency, violationCount } = summary;
+        const compared = previous.entries.length > 0;
+        const delta = (key, format, lowerIsBetter) => compared ?
+            ` (${this.formatPeriodDelta(key(summary), key(previous), format, lowerIsBetter).text} vs ${period.previousLabel})` : '';
         
-        // Meal penalty
-        const mealResult = this.calculateMealPenalty(entry.meals, entry.bedtime);
-        breakdown.meals = {
-            value: entry.meals.length + ' meals',
-            penalty: -Math.round(mealResult.penalty)
-        };
+        let report = 'SLEEP SYSTEM - SLEEP REPORT\n';
+        report += '='.repeat(50) + '\n\n';
+        report += `Generated: ${new Date().toISOString()}\n`;
+        report += `Profile: ${this.getActiveHouseholdProfile().name}\n`;
+        report += `Period: ${period.label}, ${period.start} to ${period.end}\n`;
+        report += `Nights logged: ${entries.length} of ${summary.dates.length}\n`;
+        if (summary.missing.length > 0) {
+            report += `Missing: ${summary.missing.join(', ')}\n`;
+        }
+        report += `Compared with: ${period.previousLabel}, ${period.previous.start} to ${period.previous.end}` +
+            (compared ? ` (${previous.entries.length} nights logged)` : ' (no data)') + '\n\n';
         
-        // Environment score
-        const envResult = this.calculateEnvironmentScore(entry.environment);
-        breakdown.environment = {
-            value: `${entry.environment.temp}°F, ${entry.environment.light}lux, ${entry.environment.noise}dB`,
-            penalty: Math.round(envResult.bonus - envResult.penalties)
-        };
+        // Summary stats
+        const balances = new Map(ledger.map(row => [row.date, row.balance]));
         
-        // Calculate final score
-        const totalPenalty = durationPenalty + debtPenalty + circadian.penalty + 
-                           caffeineResult.penalty + alcoholResult.penalty + 
-                           exerciseResult.penalty + screenResult.penalty + mealResult.penalty +
-                           envResult.penalties;
+        report += 'SUMMARY\n';
+        report += '-'.repeat(50) + '\n';
+        report += `Average Quality Score: ${Math.round(avgQuality)}/100${delta(s => s.avgQuality, v => v, false)}\n`;
+        report += `Sleep Debt at Period End: ${this.formatMinutes(currentDebt)} (${this.getProfile().debtWindowDays}-day window)` +
+            `${delta(s => s.currentDebt, v => this.formatMinutes(v), true)}\n`;
+        report += `Consistency Score: ${Math.round(consistency)}${delta(s => s.consistency, v => v, false)}\n`;
+        report += `Social Jetlag: ${jetlag.jetlag} minutes (sleep-corrected: ${jetlag.jetlagSc} minutes)` +
+            `${delta(s => s.jetlag.jetlag, v => `${v}m`, true)}\n`;
+        if (jetlag.msw !== null) {
+            report += `  Mid-sleep work days (MSW): ${jetlag.msw}\n`;
+            report += `  Mid-sleep free days (MSF): ${jetlag.msf} (MSFsc: ${jetlag.msfsc})\n`;
+        }
+        report += `  Nights: ${jetlag.workNights} work, ${jetlag.freeNights} free\n\n`;
         
-        const finalScore = Math.max(0, Math.round(baseScore - totalPenalty + envResult.bonus));
+        // Daily entries, with gaps for missing days
+        const rules = this.getRules();
+        const byDate = new Map(entries.map(e => [e.date, e]));
+        report += 'DAILY ENTRIES\n';
+        report += '-'.repeat(50) + '\n';
+        summary.dates.forEach(date => {
+            const entry = byDate.get(date);
+            if (!entry) {
+                report += `\nDate: ${date} - no entry\n`;
+                return;
+            }
+            
+            report += `\nDate: ${entry.date}\n`;
+            report += `  Sleep: ${entry.bedtime} - ${entry.waketime} (${Math.floor(entry.totalSleepTime/60)}h ${entry.totalSleepTime%60}m asleep, ${this.formatMinutes(entry.timeInBed)} in bed, ${entry.sleepEfficiency}% efficiency)\n`;
+            report += `  Quality Score: ${entry.qualityScore}/100\n`;
+            report += `  Sleep Debt: ${Math.floor(entry.sleepDebt/60)}h ${entry.sleepDebt%60}m (running balance: ${this.formatMinutes(balances.get(entry.date))})\n`;
+            
+            if (entry.violations.length > 0) {
+                report += `  Violations:\n`;
+                entry.violations.forEach(v => report += `    - ${this.formatViolation(v, rules)}\n`);
+            }
+        });
         
-        return { score: finalScore, breakdown };
+        // Violation summary
+        report += '\n\nVIOLATION FREQUENCY\n';
+        report += '-'.repeat(50) + '\n';
+        const previousCount = previous.violationCount || {};
+        const ruleIds = [...new Set([...Object.keys(violationCount), ...Object.keys(previousCount)])];
+        
+        if (ruleIds.length > 0) {
+            ruleIds
+                .map(ruleId => [ruleId, violationCount[ruleId] || 0, previousCount[ruleId] || 0])
+                .sort((a, b) => b[1] - a[1] || b[2] - a[2])
+                .forEach(([ruleId, count, before]) => {
+                    report += `${this.getRuleName(ruleId, rules)}: ${count}x` +
+                        (compared ? ` (${this.formatPeriodDelta(count, before, v => v, true).text})` : '') + '\n';
+                });
+        } else {
+            report += 'No violations\n';
+        }
+        
+        const blob = new Blob([report], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `sleep-system-report-${this.getProfileSlug()}-${period.start}-to-${period.end}.txt`;
+        a.click();
+        
+        URL.revokeObjectURL(url);
+    }
+
+    async resetSystem() {
+        const name = this.getActiveHouseholdProfile().name;
+        if (!confirm(`Are you sure? This will delete ALL sleep data for ${name}, including the trash and edit history. This cannot be undone.`)) {
+            return;
+        }
+        
+        if (confirm(`Download a JSON export of ${name}'s data before it is deleted?`)) {
+            await this.exportJSON();
+        }
+        
+        if (!confirm('FINAL WARNING: All data will be permanently deleted.')) {
+            return;
+        }
+        
+        await this.store.clearProfile();
+        location.reload();
     }
 
     // ========================================================================
-    // UI MANAGEMENT - DYNAMIC ENTRIES
+    // CSV EXPORT AND IMPORT
     // ========================================================================
 
-    addCaffeineEntry() {
-        const container = document.getElementById('caffeineEntries');
-        const index = container.children.length;
-        
-        const row = document.createElement('div');
-        row.className = 'entry-row';
-        row.innerHTML = `
-            <label>
-                Time
-                <input type="time" class="caffeine-time" required>
-            </label>
-            <label>
-                Amount (mg)
-                <input type="number" class="caffeine-mg" min="0" max="500" value="100" required>
-            </label>
-            <button type="button" class="btn-remove" onclick="this.parentElement.remove()">Remove</button>
-        `;
-        
-        container.appendChild(row);
+    getCsvNightColumns(entries) {
+        // Columns marked importable are read back on import; the rest are
+        // derived and recalculated by scoreEntry()
+        const factors = [...new Set(entries.flatMap(e => Object.keys(e.breakdown)))];
+        return [
+            { header: 'date', value: e => e.date, importable: 'date' },
+            ...['bedtime', 'lightsOut', 'waketime', 'outOfBed'].map(field =>
+                ({ header: field, value: e => e[field], importable: 'time' })),
+            { header: 'timeZone', value: e => e.timeZone, importable: 'string' },
+            ...['sleepLatency', 'awakenings', 'awakeMinutes'].map(field =>
+                ({ header: field, value: e => e[field], importable: 'number' })),
+            ...['sleepDuration', 'timeInBed', 'totalSleepTime', 'sleepEfficiency', 'sleepDebt', 'qualityScore'].map(field =>
+                ({ header: field, value: e => e[field] })),
+            ...factors.map(factor =>
+                ({ header: `penalty_${factor}`, value: e => e.breakdown[factor] ? e.breakdown[factor].penalty : '' })),
+            { header: 'violationCount', value: e => e.violations.length },
+            ...['temp', 'light', 'noise'].map(field =>
+                ({ header: field, value: e => e.environment[field], importable: 'number' })),
+            { header: 'bedroomOnly', value: e => e.environment.bedroomOnly, importable: 'boolean' }
+        ];
     }
 
-    addAlcoholEntry() {
-        const container = document.getElementById('alcoholEntries');
-        
-        const row = document.createElement('div');
-        row.className = 'entry-row';
-        row.innerHTML = `
-            <label>
-                Time
-                <input type="time" class="alcohol-time" required>
-            </label>
-            <label>
-                Units
-                <input type="number" class="alcohol-units" min="0" max="20" step="0.5" value="1" required>
-            </label>
-            <button type="button" class="btn-remove" onclick="this.parentElement.remove()">Remove</button>
-        `;
-        
-        container.appendChild(row);
+    getCsvEventLayout() {
+        // Item field -> events column, per entry array; the "category" column holds the array name
+        return {
+            caffeine: { time: 'time', mg: 'mg', drink: 'drink' },
+            alcohol: { time: 'time', units: 'units', drink: 'drink', volumeMl: 'volumeMl', abv: 'abv' },
+            naps: { startTime: 'time', endTime: 'endTime' },
+            meals: { time: 'time', type: 'type', macros: 'macros' },
+            exercise: { time: 'time', type: 'type', intensity: 'intensity', duration: 'duration' },
+            screens: { startTime: 'time', endTime: 'endTime', contentType: 'contentType' }
+        };
     }
 
-    addMealEntry() {
-        const container = document.getElementById('mealEntries');
+    getCsvEventColumns() {
+        const columns = Object.values(this.getCsvEventLayout()).flatMap(fields => Object.values(fields));
+        return ['date', 'category', ...new Set(columns)];
+    }
+
+    getCsvFieldAliases() {
+        return {
+            date: ['night', 'day'],
+            bedtime: ['bed', 'wenttobed', 'inbed'],
+            waketime: ['wake', 'wakeup', 'woke'],
+            lightsOut: ['lightsoff'],
+            outOfBed: ['getup', 'outofbedtime'],
+            timeZone: ['tz', 'zone', 'utcoffset'],
+            temp: ['temperature', 'roomtemp'],
+            category: ['kind', 'event'],
+            time: ['start', 'starttime'],
+            endTime: ['end']
+        };
+    }
+
+    toCsv(rows) {
+        const cell = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return rows.map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+    }
+
+    parseCsv(text) {
+        // Blank lines carry no data
+        const filled = this.parseCsvRows(text).filter(r => r.some(value => value.trim() !== ''));
+        if (filled.length === 0) return { headers: [], rows: [] };
         
-        const row = document.createElement('div');
-        row.className = 'entry-row';
-        row.innerHTML = `
-            <label>
-                Time
-                <input type="time" class="meal-time" required>
-            </label>
-            <label>
-                Size
-                <select class="meal-type" required>
-                    <option value="small">Small</option>
-                    <option value="medium">Medium</option>
-                    <option value="large">Large</option>
-                </select>
-            </label>
-            <label>
-                Macros
-                <select class="meal-macros" required>
-                    <option value="balanced">Balanced</option>
-                    <option value="high-carb">High Carb</option>
-                    <option value="high-protein">High Protein</option>
-                    <option value="high-fat">High Fat</option>
-                </select>
-            </label>
-            <button type="button" class="btn-remove" onclick="this.parentElement.remove()">Remove</button>
-        `;
+        const headers = filled[0].map(h => h.trim());
+        return {
+            headers,
+            rows: filled.slice(1).map(r => Object.fromEntries(headers.map((h, i) => [h, (r[i] || '').trim()])))
+        };
+    }
+
+    parseCsvRows(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        
+        text = text.replace(/^\uFEFF/, '');
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (quoted) {
+                if (c === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (c === '"') {
+                    quoted = false;
+                } else {
+                    field += c;
+                }
+            } else if (c === '"') {
+                quoted = true;
+            } else if (c === ',') {
+                row.push(field);
+                field = '';
+            } else if (c === '\n' || c === '\r') {
+                if (c === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += c;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    parseCsvTime(value) {
+        // Accepts 24h ("23:30", "7:05", "23:30:00") and 12h ("11:30 PM", "7pm") times;
+        // anything else is returned unchanged so validation reports it
+        const match = value.trim().match(/^(\d{1,2})(?::(\d{2}))?(?::\d{2})?\s*([ap])?\.?m?\.?$/i);
+        if (!match || (!match[2] && !match[3])) return value;
+        
+        let hours = parseInt(match[1]);
+        const minutes = parseInt(match[2] || '0');
+        if (match[3]) {
+            if (hours < 1 || hours > 12) return value;
+            hours = hours % 12 + (match[3].toLowerCase() === 'p' ? 12 : 0);
+        }
+        if (hours > 23 || minutes > 59) return value;
         
-        container.appendChild(row);
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
     }
 
-    addExerciseEntry() {
-        const container = document.getElementById('exerciseEntries');
+    parseCsvValue(value, type, emptyValue) {
+        if (value === undefined || value === '') return emptyValue;
+        if (type === 'time') return this.parseCsvTime(value);
+        if (type === 'number') {
+            const number = Number(value);
+            return Number.isFinite(number) ? number : value;
+        }
+        if (type === 'boolean') {
+            const text = value.toLowerCase();
+            if (['true', 'yes', 'y', '1'].includes(text)) return true;
+            if (['false', 'no', 'n', '0'].includes(text)) return false;
+            return value;
+        }
+        return value;
+    }
+
+    downloadText(filename, text, type) {
+        const blob = new Blob([text], { type });
+        const url = URL.createObjectURL(blob);
         
-        const row = document.createElement('div');
-        row.className = 'entry-row';
-        row.innerHTML = `
-            <label>
-                Time
-                <input type="time" class="exercise-time" required>
-            </label>
-            <label>
-                Type
-                <select class="exercise-type" required>
-                    <option value="strength">Strength</option>
-                    <option value="cardio">Cardio</option>
-                    <option value="flexibility">Flexibility</option>
-                </select>
-            </label>
-            <label>
-                Intensity
-                <select class="exercise-intensity" required>
-                    <option value="low">Low</option>
-                    <option value="medium">Medium</option>
-                    <option value="high">High</option>
-                </select>
-            </label>
-            <label>
-                Duration (min)
-                <input type="number" class="exercise-duration" min="5" max="300" value="30" required>
-            </label>
-            <button type="button" class="btn-remove" onclick="this.parentElement.remove()">Remove</button>
-        `;
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
         
-        container.appendChild(row);
+        URL.revokeObjectURL(url);
     }
 
-    addScreenEntry() {
-        const container = document.getElementById('screenEntries');
+    async exportNightsCSV() {
+        const data = await this.getAllData();
+        const columns = this.getCsvNightColumns(data);
+        const rows = [columns.map(c => c.header), ...data.map(entry => columns.map(c => c.value(entry)))];
         
-        const row = document.createElement('div');
-        row.className = 'entry-row';
-        row.innerHTML = `
-            <label>
-                Start Time
-                <input type="time" class="screen-start" required>
-            </label>
-            <label>
-                End Time
-                <input type="time" class="screen-end" required>
-            </label>
-            <label>
-                Content Type
-                <select class="screen-content" required>
-                    <option value="passive">Passive (video)</option>
-                    <option value="moderate">Moderate (browsing)</option>
-                    <option value="active">Active (gaming, work)</option>
-                </select>
-            </label>
-            <button type="button" class="btn-remove" onclick="this.parentElement.remove()">Remove</button>
-        `;
+        this.downloadText(`sleep-system-nights-${this.getProfileSlug()}-${new Date().toISOString().split('T')[0]}.csv`,
+            this.toCsv(rows), 'text/csv');
+    }
+
+    async exportEventsCSV() {
+        const data = await this.getAllData();
+        const layout = this.getCsvEventLayout();
+        const columns = this.getCsvEventColumns();
+        const rows = [columns];
         
-        container.appendChild(row);
+        data.forEach(entry => {
+            Object.entries(layout).forEach(([category, fields]) => {
+                entry[category].forEach(item => {
+                    const row = { date: entry.date, category };
+                    Object.entries(fields).forEach(([field, column]) => row[column] = item[field]);
+                    rows.push(columns.map(column => row[column]));
+                });
+            });
+        });
+        
+        this.downloadText(`sleep-system-events-${this.getProfileSlug()}-${new Date().toISOString().split('T')[0]}.csv`,
+            this.toCsv(rows), 'text/csv');
     }
 
-    // ========================================================================
-    // CALCULATION & SAVE
-    // ========================================================================
+    getCsvImportFields() {
+        const nights = this.getCsvNightColumns([]).filter(c => c.importable).map(c => c.header);
+        return { nights, events: this.getCsvEventColumns() };
+    }
 
-    calculateAndSave() {
-        // Collect all data
-        const entry = this.getEmptyEntry();
+    guessCsvColumn(field, headers) {
+        const normalize = text => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+        const names = [normalize(field), ...(this.getCsvFieldAliases()[field] || [])];
+        return headers.find(h => names.includes(normalize(h))) || '';
+    }
+
+    async loadCsvFiles(files) {
+        const parsed = [];
+        for (const file of files) {
+            const csv = this.parseCsv(await this.readFileText(file));
+            if (csv.headers.length === 0) {
+                alert(`Could not import ${file.name}: the file is empty`);
+                return;
+            }
+            parsed.push({ name: file.name, ...csv });
+        }
         
-        // Basic sleep data
-        entry.date = document.getElementById('entryDate').value;
-        entry.bedtime = document.getElementById('bedtime').value;
-        entry.waketime = document.getElementById('waketime').value;
+        // The events file is the one with a category column
+        const isEvents = csv => this.guessCsvColumn('category', csv.headers) !== '';
+        const nights = parsed.filter(csv => !isEvents(csv));
+        const events = parsed.filter(isEvents);
         
-        if (!entry.date || !entry.bedtime || !entry.waketime) {
-            alert('Please fill in date, bedtime, and wake time');
+        if (nights.length !== 1 || events.length > 1) {
+            alert('Choose one nightly CSV, optionally together with one events CSV');
             return;
         }
         
-        entry.sleepDuration = this.calculateSleepDuration(entry.bedtime, entry.waketime);
-        entry.sleepDebt = this.calculateSleepDebt(entry.sleepDuration);
-        
-        // Caffeine
-        document.querySelectorAll('#caffeineEntries .entry-row').forEach(row => {
-            entry.caffeine.push({
-                time: row.querySelector('.caffeine-time').value,
-                mg: parseInt(row.querySelector('.caffeine-mg').value)
-            });
+        this.cancelImport();
+        this.pendingCsv = { nights: nights[0], events: events[0] || null };
+        this.renderCsvMapping();
+    }
+
+    readFileText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
         });
+    }
+
+    renderCsvMapping() {
+        const fields = this.getCsvImportFields();
+        const required = ['date', 'bedtime', 'waketime', 'category', 'time'];
         
-        // Alcohol
-        document.querySelectorAll('#alcoholEntries .entry-row').forEach(row => {
-            entry.alcohol.push({
-                time: row.querySelector('.alcohol-time').value,
-                units: parseFloat(row.querySelector('.alcohol-units').value)
-            });
-        });
+        const group = key => {
+            const csv = this.pendingCsv[key];
+            if (!csv) return '';
+            
+            return `
+                <div class="import-group">
+                    <h4>${key === 'nights' ? 'Nightly' : 'Events'} file: ${this.escapeHTML(csv.name)} (${csv.rows.length} rows)</h4>
+                    <div class="csv-mapping-grid">
+                        ${fields[key].map(field => {
+                            const guess = this.guessCsvColumn(field, csv.headers);
+                            return `
+                                <label>
+                                    ${field}${required.includes(field) ? ' *' : ''}
+                                    <select class="csv-map" data-file="${key}" data-field="${field}">
+                                        <option value="">(not in file)</option>
+                                        ${csv.headers.map(h => `<option value="${this.escapeHTML(h)}"${h === guess ? ' selected' : ''}>${this.escapeHTML(h)}</option>`).join('')}
+                                    </select>
+                                </label>
+                            `;
+                        }).join('')}
+                    </div>
+                </div>
+            `;
+        };
         
-        // Meals
-        document.querySelectorAll('#mealEntries .entry-row').forEach(row => {
-            entry.meals.push({
-                time: row.querySelector('.meal-time').value,
-                type: row.querySelector('.meal-type').value,
-                macros: row.querySelector('.meal-macros').value
-            });
+        document.getElementById('csvMapping').innerHTML = group('nights') + group('events');
+        document.getElementById('csvPanel').style.display = 'block';
+    }
+
+    readCsvMapping() {
+        const mapping = { nights: {}, events: {} };
+        document.querySelectorAll('#csvMapping .csv-map').forEach(select => {
+            if (select.value) mapping[select.dataset.file][select.dataset.field] = select.value;
         });
-        
-        // Exercise
-        document.querySelectorAll('#exerciseEntries .entry-row').forEach(row => {
-            entry.exercise.push({
-                time: row.querySelector('.exercise-time').value,
-                type: row.querySelector('.exercise-type').value,
-                intensity: row.querySelector('.exercise-intensity').value,
-                duration: parseInt(row.querySelector('.exercise-duration').value)
+        return mapping;
+    }
+
+    buildCsvEntries(mapping) {
+        const template = this.getEmptyEntry();
+        const columns = this.getCsvNightColumns([]).filter(c => c.importable);
+        
+        const records = this.pendingCsv.nights.rows.map(row => {
+            const entry = this.getEmptyEntry();
+            columns.forEach(({ header, importable }) => {
+                const inEnvironment = header in template.environment;
+                const emptyValue = inEnvironment ? template.environment[header] : template[header];
+                const value = this.parseCsvValue(row[mapping.nights[header]], importable, emptyValue);
+                
+                if (inEnvironment) {
+                    entry.environment[header] = value;
+                } else {
+                    entry[header] = value;
+                }
             });
+            return entry;
         });
         
-        // Screens
-        document.querySelectorAll('#screenEntries .entry-row').forEach(row => {
-            entry.screens.push({
-                startTime: row.querySelector('.screen-start').value,
-                endTime: row.querySelector('.screen-end').value,
-                contentType: row.querySelector('.screen-content').value
+        const orphans = [];
+        if (this.pendingCsv.events) {
+            const byDate = new Map(records.map(entry => [entry.date, entry]));
+            const layout = this.getCsvEventLayout();
+            const itemFields = this.getEntryItemFields();
+            const column = name => mapping.events[name];
+            
+            this.pendingCsv.events.rows.forEach((row, index) => {
+                const date = row[column('date')] || '';
+                const name = (row[column('category')] || '').toLowerCase();
+                const category = Object.keys(layout).find(key => key === name || key === `${name}s`);
+                const entry = byDate.get(date);
+                
+                if (!entry || !category) {
+                    orphans.push({ index, date, errors: [entry ? `Unknown category "${name}"` : 'No night with this date in the nightly file'] });
+                    return;
+                }
+                
+                const item = {};
+                Object.entries(layout[category]).forEach(([field, col]) => {
+                    // Required fields left blank stay undefined so validation reports them
+                    const type = itemFields[category][field] || (field === 'drink' ? 'string' : 'number');
+                    const emptyValue = type === 'string' ? '' : (field in itemFields[category] ? undefined : null);
+                    item[field] = this.parseCsvValue(row[column(col)], type, emptyValue);
+                });
+                
+                if (category === 'caffeine' || category === 'alcohol') item.drink = item.drink || 'custom';
+                if (category === 'alcohol') {
+                    if (item.units === undefined && item.volumeMl && item.abv) {
+                        item.units = Math.round(this.getAlcoholGrams(item) / 8 * 10) / 10;
+                    }
+                    item.grams = Math.round(this.getAlcoholGrams(item) * 10) / 10;
+                }
+                entry[category].push(item);
             });
-        });
+        }
         
-        // Environment
-        entry.environment = {
-            temp: parseInt(document.getElementById('envTemp').value),
-            light: parseInt(document.getElementById('envLight').value),
-            noise: parseInt(document.getElementById('envNoise').value),
-            bedroomOnly: document.getElementById('envBedroomOnly').checked
-        };
+        return { records, orphans };
+    }
+
+    previewCsvImport() {
+        if (!this.pendingCsv) return;
         
-        // Evaluate rules
-        entry.violations = this.evaluateRules(entry);
+        const mapping = this.readCsvMapping();
+        const missing = ['date', 'bedtime', 'waketime'].filter(field => !mapping.nights[field]);
+        if (this.pendingCsv.events) {
+            missing.push(...['date', 'category', 'time'].filter(field => !mapping.events[field]).map(field => `events ${field}`));
+        }
+        if (missing.length > 0) {
+            alert(`Please choose a column for: ${missing.join(', ')}`);
+            return;
+        }
         
-        // Calculate quality score
-        const scoreResult = this.calculateQualityScore(entry);
-        entry.qualityScore = scoreResult.score;
-        entry.breakdown = scoreResult.breakdown;
+        const { records, orphans } = this.buildCsvEntries(mapping);
         
-        // Save
-        this.saveEntry(entry);
+        // Same checks as any other import, then scored like a manual entry
+        this.pendingImport = this.parseImportRecords(records);
+        this.pendingImport.entries.forEach(entry => this.scoreEntry(entry));
+        this.pendingImport.invalid.push(...orphans.map(orphan => ({ ...orphan, label: `Event row #${orphan.index + 1}` })));
+        this.renderImportPreview().catch(err => this.reportError(err));
+    }
+
+    cancelCsvImport() {
+        this.pendingCsv = null;
+        document.getElementById('csvMapping').innerHTML = '';
+        document.getElementById('csvPanel').style.display = 'none';
+    }
+
+    // ========================================================================
+    // SYNC
+    // ========================================================================
+
+    getSyncSettings() {
+        const stored = localStorage.getItem(this.storageKey('sleepSystemSync'));
+        return {
+            url: '',
+            token: '',
+            remoteProfile: this.getProfileSlug(),
+            auto: false,
+            lastRevision: 0,
+            lastSync: null,
+            pending: [],
+            deleted: {}, // date -> revision of entries deleted here but not yet on the server
+            ...(stored ? JSON.parse(stored) : {})
+        };
+    }
+
+    saveSyncSettings(settings) {
+        localStorage.setItem(this.storageKey('sleepSystemSync'), JSON.stringify(settings));
+    }
+
+    getBaseRevision(date, current) {
+        // A date deleted here or on another device builds on the server's
+        // tombstone, so logging it again is an update rather than a conflict
+        return current ? current.revision : this.getSyncSettings().deleted[date] || 0;
+    }
+
+    markEntriesModified(entries, deletedEntries = []) {
+        // Stamp local edits and queue them for the next sync
+        const modifiedAt = new Date().toISOString();
+        entries.forEach(entry => entry.modifiedAt = modifiedAt);
         
-        // Display results
-        this.displayResults(entry);
+        const settings = this.getSyncSettings();
+        if (!settings.url) return;
         
-        // Update header
-        this.updateHeaderStats();
+        deletedEntries.forEach(entry => settings.deleted[entry.date] = entry.revision);
+        settings.pending = [...new Set([...settings.pending, ...entries.map(e => e.date), ...deletedEntries.map(e => e.date)])];
+        this.saveSyncSettings(settings);
         
-        // Scroll to results
-        document.getElementById('resultSection').scrollIntoView({ behavior: 'smooth' });
+        if (settings.auto) {
+            // Saving happens first; sync catches up in the background
+            setTimeout(() => this.syncNow(true).catch(err => this.reportError(err)), 0);
+        }
     }
 
-    displayResults(entry) {
-        const resultSection = document.getElementById('resultSection');
-        resultSection.style.display = 'block';
-        
-        // Score
-        document.getElementById('qualityScore').textContent = entry.qualityScore;
-        
-        // Violations
-        const violationsDiv = document.getElementById('violations');
-        if (entry.violations.length > 0) {
-            violationsDiv.innerHTML = '<h3>Rule Violations</h3>' + 
-                entry.violations.map(v => `<div class="violation-item">${v}</div>`).join('');
-        } else {
-            violationsDiv.innerHTML = '<h3 style="color: var(--success)">No Violations</h3>';
+    async syncRequest(settings, method, query = '', body = null) {
+        const url = `${settings.url.replace(/\/+$/, '')}/v1/profiles/${encodeURIComponent(settings.remoteProfile)}/entries${query}`;
+        const headers = { 'Content-Type': 'application/json' };
+        if (settings.token) headers.Authorization = `Bearer ${settings.token}`;
+        
+        let response;
+        try {
+            response = await fetch(url, { method, headers, body: body && JSON.stringify(body) });
+        } catch {
+            throw new Error(`could not reach ${settings.url}`);
         }
         
-        // Breakdown
-        const breakdownDiv = document.getElementById('breakdown');
-        breakdownDiv.innerHTML = Object.entries(entry.breakdown).map(([key, data]) => `
-            <div class="breakdown-item">
-                <h4>${key.replace(/([A-Z])/g, ' $1').trim()}</h4>
-                <div class="value" style="color: ${data.penalty >= 0 ? 'var(--success)' : 'var(--danger)'}">
-                    ${data.penalty >= 0 ? '+' : ''}${data.penalty}
-                </div>
-                <div class="detail">${data.value}</div>
-            </div>
-        `).join('');
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || `server answered ${response.status}`);
+        }
+        return result;
     }
 
-    loadEntry() {
-        const date = document.getElementById('entryDate').value;
-        if (!date) {
-            alert('Please select a date');
+    getSyncContent(entry) {
+        // Revision and modified time describe a copy, not the night itself
+        const content = { ...entry };
+        delete content.revision;
+        delete content.modifiedAt;
+        return content;
+    }
+
+    fromSyncRecord(record) {
+        const entry = this.upgradeEntry({ ...record.entry, revision: record.rev, modifiedAt: record.modifiedAt || '' });
+        const errors = this.validateEntry(entry).errors.map(issue => issue.message);
+        return errors.length > 0 ? { errors } : { entry };
+    }
+
+    async syncNow(quiet = false) {
+        const settings = this.getSyncSettings();
+        if (!settings.url) {
+            if (!quiet) alert('Enter the sync server URL first');
             return;
         }
-        
-        const entry = this.getEntryByDate(date);
-        if (!entry) {
-            alert('No entry found for this date');
-            return;
+        if (this.syncing) return;
+        
+        this.syncing = true;
+        this.renderSyncStatus('Syncing...');
+        
+        try {
+            // The first sync sends everything this device has
+            const pending = new Set(settings.lastSync === null ?
+                (await this.getAllData()).map(e => e.date) : settings.pending);
+            const conflicts = [];
+            const incoming = [];
+            const rejected = [];
+            const history = [];
+            const done = new Set();
+            const tombstones = {};
+            
+            // Pull what other devices wrote since the last sync
+            const pulled = await this.syncRequest(settings, 'GET', `?since=${settings.lastRevision}`);
+            for (const record of pulled.entries) {
+                const local = await this.getEntryByDate(record.date);
+                
+                // Already seen: the stored copy, or the copy a local delete builds on
+                if ((local ? local.revision : settings.deleted[record.date]) === record.rev) {
+                    continue;
+                }
+                
+                if (pending.has(record.date) && (local || !record.deleted)) {
+                    // Both sides changed this date; identical edits need no decision
+                    if (local && !record.deleted &&
+                        JSON.stringify(this.getSyncContent(local)) === JSON.stringify(this.getSyncContent(record.entry))) {
+                        local.revision = record.rev;
+                        incoming.push(local);
+                        pending.delete(record.date);
+                        done.add(record.date);
+                    } else {
+                        conflicts.push({ date: record.date, local, remote: record });
+                    }
+                    continue;
+                }
+                
+                if (record.deleted) {
+                    if (local) {
+                        await this.store.moveToTrash([record.date]);
+                        history.push(this.makeHistoryRecord('sync', local, null));
+                    }
+                    pending.delete(record.date);
+                    done.add(record.date);
+                    tombstones[record.date] = record.rev;
+                    continue;
+                }
+                
+                const { entry, errors } = this.fromSyncRecord(record);
+                if (entry) {
+                    incoming.push(entry);
+                    history.push(this.makeHistoryRecord('sync', local || null, entry));
+                } else {
+                    rejected.push(`${record.date}: ${errors.join('; ')}`);
+                }
+            }
+            await this.store.putMany(incoming);
+            await this.store.addHistory(history);
+            
+            // Push local changes that didn't conflict
+            const conflictDates = new Set(conflicts.map(c => c.date));
+            const outgoing = [];
+            for (const date of pending) {
+                if (conflictDates.has(date)) continue;
+                
+                const local = await this.getEntryByDate(date);
+                outgoing.push(local ?
+                    { date, baseRev: local.revision, modifiedAt: local.modifiedAt, deleted: false, entry: this.getSyncContent(local) } :
+                    { date, baseRev: settings.deleted[date] || 0, modifiedAt: new Date().toISOString(), deleted: true, entry: null });
+            }
+            
+            if (outgoing.length > 0) {
+                const pushed = await this.syncRequest(settings, 'PUT', '', { entries: outgoing });
+                const accepted = [];
+                for (const { date, rev } of pushed.accepted) {
+                    const local = await this.getEntryByDate(date);
+                    if (local) {
+                        local.revision = rev;
+                        accepted.push(local);
+                    } else {
+                        tombstones[date] = rev;
+                    }
+                    done.add(date);
+                }
+                await this.store.putMany(accepted);
+                
+                for (const record of pushed.conflicts) {
+                    conflicts.push({ date: record.date, local: await this.getEntryByDate(record.date), remote: record });
+                }
+            }
+            
+            // Only the pull revision is safe to resume from; other devices may
+            // have written between the pull and the push. Edits saved while
+            // syncing are still pending. Tombstones keep their revision for
+            // when the date is logged again.
+            const latest = this.getSyncSettings();
+            done.forEach(date => delete latest.deleted[date]);
+            Object.assign(latest.deleted, tombstones);
+            Object.assign(latest, {
+                lastRevision: pulled.revision,
+                lastSync: new Date().toISOString(),
+                pending: [...new Set([...latest.pending, ...pending])].filter(date => !done.has(date))
+            });
+            this.saveSyncSettings(latest);
+            this.syncConflicts = conflicts;
+            
+            if (rejected.length > 0 && !quiet) {
+                alert(`Some server entries were not valid and were skipped:\n${rejected.join('\n')}`);
+            }
+            
+            await this.refreshAfterEntryChange();
+            this.renderSyncConflicts();
+            this.renderSyncStatus();
+        } catch (err) {
+            this.renderSyncStatus(`Sync failed: ${err.message}`);
+            if (!quiet) alert(`Sync failed: ${err.message}`);
+        } finally {
+            this.syncing = false;
         }
+    }
+
+    describeEntry(entry) {
+        if (!entry) return 'Deleted';
         
-        // Load basic data
-        document.getElementById('bedtime').value = entry.bedtime;
-        document.getElementById('waketime').value = entry.waketime;
-        this.updateSleepInfo();
+        const items = ['caffeine', 'alcohol', 'naps', 'meals', 'exercise', 'screens']
+            .filter(key => entry[key].length > 0)
+            .map(key => `${entry[key].length} ${key}`);
+        return `${entry.bedtime} to ${entry.waketime}, score ${entry.qualityScore}${items.length > 0 ? `, ${items.join(', ')}` : ''}`;
+    }
+
+    renderSyncConflicts() {
+        const container = document.getElementById('syncConflicts');
+        
+        container.innerHTML = this.syncConflicts.map((conflict, i) => {
+            const { local, remote } = conflict;
+            // Scores and metrics follow from the logged fields, so only those are listed
+            const derived = this.getDerivedEntryFields();
+            const differences = local && remote.entry ?
+                this.getChangedFields(this.getSyncContent(local), this.getSyncContent(remote.entry))
+                    .filter(field => !derived.includes(field)) : [];
+            
+            return `
+                <div class="import-group sync-conflict">
+                    <h4>${conflict.date}${differences.length > 0 ? ` <span class="import-note">differs in ${differences.join(', ')}</span>` : ''}</h4>
+                    <div class="sync-versions">
+                        <div class="sync-version">
+                            <strong>This device</strong>
+                            <span class="import-note">${local ? `changed ${this.formatSyncTime(local.modifiedAt)}` : ''}</span>
+                            <p>${this.escapeHTML(this.describeEntry(local))}</p>
+                            <button type="button" class="btn-secondary" onclick="app.resolveSyncConflict(${i}, 'local')">Keep This Device</button>
+                        </div>
+                        <div class="sync-version">
+                            <strong>Server</strong>
+                            <span class="import-note">changed ${this.formatSyncTime(remote.modifiedAt)}</span>
+                            <p>${this.escapeHTML(this.describeEntry(remote.deleted ? null : remote.entry))}</p>
+                            <button type="button" class="btn-secondary" onclick="app.resolveSyncConflict(${i}, 'remote')">Use Server</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
         
-        // Load caffeine
-        const caffeineContainer = document.getElementById('caffeineEntries');
-        caffeineContainer.innerHTML = '';
-        entry.caffeine.forEach(c => {
-            this.addCaffeineEntry();
-            const row = caffeineContainer.lastChild;
-            row.querySelector('.caffeine-time').value = c.time;
-            row.querySelector('.caffeine-mg').value = c.mg;
-        });
+        document.getElementById('syncConflictPanel').style.display = this.syncConflicts.length > 0 ? 'block' : 'none';
+    }
+
+    formatSyncTime(iso) {
+        return iso ? new Date(iso).toLocaleString() : 'at an unknown time';
+    }
+
+    async resolveSyncConflict(index, choice) {
+        const { date, local, remote } = this.syncConflicts[index];
+        const settings = this.getSyncSettings();
+        
+        if (choice === 'local') {
+            // Rebase onto the server copy so the next push is accepted
+            if (local) {
+                local.revision = remote.rev;
+                await this.store.put(local);
+            } else {
+                settings.deleted[date] = remote.rev;
+                this.saveSyncSettings(settings);
+            }
+        } else {
+            if (remote.deleted) {
+                if (local) {
+                    await this.store.moveToTrash([date]);
+                    await this.store.addHistory([this.makeHistoryRecord('sync', local, null)]);
+                }
+            } else {
+                const { entry, errors } = this.fromSyncRecord(remote);
+                if (!entry) {
+                    alert(`The server copy of ${date} is not valid: ${errors.join('; ')}`);
+                    return;
+                }
+                await this.store.put(entry);
+                await this.store.addHistory([this.makeHistoryRecord('sync', local || null, entry)]);
+            }
+            settings.pending = settings.pending.filter(d => d !== date);
+            if (remote.deleted) {
+                settings.deleted[date] = remote.rev;
+            } else {
+                delete settings.deleted[date];
+            }
+            this.saveSyncSettings(settings);
+        }
         
-        // Load alcohol
-        const alcoholContainer = document.getElementById('alcoholEntries');
-        alcoholContainer.innerHTML = '';
-        entry.alcohol.forEach(a => {
-            this.addAlcoholEntry();
-            const row = alcoholContainer.lastChild;
-            row.querySelector('.alcohol-time').value = a.time;
-            row.querySelector('.alcohol-units').value = a.units;
-        });
+        this.syncConflicts.splice(index, 1);
+        this.renderSyncConflicts();
+        await this.refreshAfterEntryChange();
         
-        // Load meals
-        const mealContainer = document.getElementById('mealEntries');
-        mealContainer.innerHTML = '';
-        entry.meals.forEach(m => {
-            this.addMealEntry();
-            const row = mealContainer.lastChild;
-            row.querySelector('.meal-time').value = m.time;
-            row.querySelector('.meal-type').value = m.type;
-            row.querySelector('.meal-macros').value = m.macros;
-        });
+        // Once everything is decided, push the kept versions
+        if (this.syncConflicts.length === 0) await this.syncNow(true);
+    }
+
+    renderSyncSettings() {
+        const settings = this.getSyncSettings();
+        document.getElementById('syncUrl').value = settings.url;
+        document.getElementById('syncToken').value = settings.token;
+        document.getElementById('syncRemoteProfile').value = settings.remoteProfile;
+        document.getElementById('syncAuto').checked = settings.auto;
+        this.renderSyncStatus();
+    }
+
+    async saveSyncSettingsForm() {
+        const settings = this.getSyncSettings();
+        const url = document.getElementById('syncUrl').value.trim();
+        const remoteProfile = document.getElementById('syncRemoteProfile').value.trim();
         
-        // Load exercise
-        const exerciseContainer = document.getElementById('exerciseEntries');
-        exerciseContainer.innerHTML = '';
-        entry.exercise.forEach(e => {
-            this.addExerciseEntry();
-            const row = exerciseContainer.lastChild;
-            row.querySelector('.exercise-time').value = e.time;
-            row.querySelector('.exercise-type').value = e.type;
-            row.querySelector('.exercise-intensity').value = e.intensity;
-            row.querySelector('.exercise-duration').value = e.duration;
-        });
+        if (url && !/^https?:\/\//.test(url)) {
+            alert('The server URL must start with http:// or https://');
+            return;
+        }
+        if (!remoteProfile) {
+            alert('Please enter the profile name to use on the server');
+            return;
+        }
         
-        // Load screens
-        const screenContainer = document.getElementById('screenEntries');
-        screenContainer.innerHTML = '';
-        entry.screens.forEach(s => {
-            this.addScreenEntry();
-            const row = screenContainer.lastChild;
-            row.querySelector('.screen-start').value = s.startTime;
-            row.querySelector('.screen-end').value = s.endTime;
-            row.querySelector('.screen-content').value = s.contentType;
+        // A different server or profile starts over from revision 0, and so
+        // does every entry: revisions from the old server mean nothing to the new one
+        if (url !== settings.url || remoteProfile !== settings.remoteProfile) {
+            Object.assign(settings, { lastRevision: 0, lastSync: null, pending: [], deleted: {} });
+            const entries = await this.getAllData();
+            entries.forEach(entry => entry.revision = 0);
+            await this.store.putMany(entries);
+        }
+        Object.assign(settings, {
+            url,
+            token: document.getElementById('syncToken').value.trim(),
+            remoteProfile,
+            auto: document.getElementById('syncAuto').checked
         });
+        this.saveSyncSettings(settings);
+        this.renderSyncStatus();
+    }
+
+    renderSyncStatus(message = null) {
+        const settings = this.getSyncSettings();
+        let text = message;
+        
+        if (!text) {
+            text = !settings.url ? 'Sync is off' :
+                settings.lastSync === null ? 'Not synced yet' :
+                `Last synced ${this.formatSyncTime(settings.lastSync)}; ${settings.pending.length} local changes waiting`;
+        }
+        document.getElementById('syncStatus').textContent = text;
+    }
+
+    // ========================================================================
+    // ENCRYPTED BACKUP
+    // ========================================================================
+
+    getBackupFormat() {
+        // Written into every backup; bump version when the layout changes
+        return { format: 'sleep-system-backup', version: 1, iterations: 600000 };
+    }
+
+    getBackupSettings() {
+        const stored = localStorage.getItem(this.storageKey('sleepSystemBackup'));
+        return { intervalDays: 7, lastBackup: null, lastPrompt: null, ...(stored ? JSON.parse(stored) : {}) };
+    }
+
+    saveBackupSettings(settings) {
+        localStorage.setItem(this.storageKey('sleepSystemBackup'), JSON.stringify(settings));
+    }
+
+    toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    }
+
+    async deriveBackupKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async encryptBackup(payload, passphrase) {
+        const { format, version, iterations } = this.getBackupFormat();
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const key = await this.deriveBackupKey(passphrase, salt, iterations);
+        
+        // The header is bound to the ciphertext, so editing it fails decryption
+        const header = {
+            format,
+            version,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: this.toBase64(salt) },
+            cipher: { name: 'AES-GCM', iv: this.toBase64(iv) }
+        };
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(JSON.stringify(header)) },
+            key,
+            new TextEncoder().encode(JSON.stringify(payload))
+        );
+        
+        return { ...header, data: this.toBase64(new Uint8Array(ciphertext)) };
+    }
+
+    async decryptBackup(file, passphrase) {
+        const { format, version } = this.getBackupFormat();
+        if (this.getValueType(file) !== 'object' || file.format !== format) {
+            throw new Error('not an encrypted Sleep System backup');
+        }
+        if (file.version !== version) {
+            throw new Error(`backup version ${file.version} is not supported by this version of the app`);
+        }
         
-        // Load environment
-        document.getElementById('envTemp').value = entry.environment.temp;
-        document.getElementById('envLight').value = entry.environment.light;
-        document.getElementById('envNoise').value = entry.environment.noise;
-        document.getElementById('envBedroomOnly').checked = entry.environment.bedroomOnly;
+        const { data, ...header } = file;
+        let plaintext;
+        try {
+            const key = await this.deriveBackupKey(passphrase, this.fromBase64(header.kdf.salt), header.kdf.iterations);
+            plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.fromBase64(header.cipher.iv), additionalData: new TextEncoder().encode(JSON.stringify(header)) },
+                key,
+                this.fromBase64(data)
+            );
+        } catch {
+            throw new Error('wrong passphrase or damaged file');
+        }
         
-        // Display results
-        this.displayResults(entry);
+        return JSON.parse(new TextDecoder().decode(plaintext));
     }
 
-    updateHeaderStats() {
-        const data = this.getAllData();
+    readBackupPassphrase(confirmRequired) {
+        const passphrase = document.getElementById('backupPassphrase').value;
+        const confirmation = document.getElementById('backupPassphraseConfirm').value;
         
-        // Total debt
-        const totalDebt = this.getCumulativeSleepDebt();
-        const debtHours = Math.floor(totalDebt / 60);
-        const debtMin = totalDebt % 60;
-        document.getElementById('totalDebt').textContent = `${debtHours}h ${debtMin}m`;
+        if (passphrase.length < 8) {
+            alert('Please enter a passphrase of at least 8 characters');
+            return null;
+        }
+        if (confirmRequired && passphrase !== confirmation) {
+            alert('The passphrases do not match');
+            return null;
+        }
+        return passphrase;
+    }
+
+    async exportEncryptedBackup() {
+        const passphrase = this.readBackupPassphrase(true);
+        if (!passphrase) return;
+        
+        // Settings travel with the entries so a restore brings back the whole profile
+        const payload = {
+            exportedAt: new Date().toISOString(),
+            profileName: this.getActiveHouseholdProfile().name,
+            entries: await this.getAllData(),
+            settings: {
+                profile: this.getProfile(),
+                rules: this.getRules(),
+                trips: this.getTrips()
+            }
+        };
+        const backup = await this.encryptBackup(payload, passphrase);
         
-        // Average quality
-        if (data.length > 0) {
-            const avgQuality = data.reduce((sum, e) => sum + e.qualityScore, 0) / data.length;
-            document.getElementById('avgQuality').textContent = Math.round(avgQuality);
+        const today = this.getLocalDateString(new Date());
+        this.downloadText(`sleep-system-backup-${this.getProfileSlug()}-${today}.json`, JSON.stringify(backup), 'application/json');
+        
+        const settings = this.getBackupSettings();
+        settings.lastBackup = today;
+        this.saveBackupSettings(settings);
+        
+        document.getElementById('backupPassphrase').value = '';
+        document.getElementById('backupPassphraseConfirm').value = '';
+        this.renderBackupStatus();
+    }
+
+    restoreEncryptedBackup() {
+        if (!this.readBackupPassphrase(false)) return;
+        document.getElementById('backupFile').click();
+    }
+
+    async handleBackupFile(input) {
+        const file = input.files[0];
+        input.value = '';
+        if (!file) return;
+        
+        const passphrase = this.readBackupPassphrase(false);
+        if (!passphrase) return;
+        
+        let payload;
+        try {
+            payload = await this.decryptBackup(JSON.parse(await this.readFileText(file)), passphrase);
+        } catch (err) {
+            alert(`Could not restore ${file.name}: ${err instanceof SyntaxError ? 'not a backup file' : err.message}`);
+            return;
         }
+        document.getElementById('backupPassphrase').value = '';
         
-        // Social jetlag
-        const jetlag = this.calculateSocialJetlag();
-        document.getElementById('socialJetlag').textContent = `${jetlag}m`;
+        const restoreSettings = payload.settings &&
+            confirm(`Backup of ${payload.profileName} from ${payload.exportedAt.slice(0, 10)}. Also restore its profile targets, rules and trips?`);
+        
+        // Entries go through the regular import preview and conflict modes;
+        // settings wait for the same confirmation
+        this.cancelImport();
+        this.pendingImport = this.parseImportRecords(payload.entries);
+        this.pendingImport.settings = restoreSettings ? payload.settings : null;
+        await this.renderImportPreview();
+    }
+
+    applyBackupSettings(settings) {
+        this.saveProfile(settings.profile);
+        this.saveRules(settings.rules);
+        if (settings.trips) this.saveTrips(settings.trips);
+        this.loadProfileSettings();
+        this.renderRuleSettings();
+        this.renderTrips();
+        this.updateEntryZoneHint();
+    }
+
+    getDaysSinceBackup(settings) {
+        if (!settings.lastBackup) return null;
+        return Math.max(0, this.getDateRange(settings.lastBackup, this.getLocalDateString(new Date())).length - 1);
+    }
+
+    renderBackupStatus() {
+        const settings = this.getBackupSettings();
+        const days = this.getDaysSinceBackup(settings);
+        
+        document.getElementById('backupInterval').value = settings.intervalDays;
+        document.getElementById('backupStatus').textContent = days === null ?
+            'No encrypted backup made yet' :
+            `Last encrypted backup: ${settings.lastBackup} (${days === 0 ? 'today' : days === 1 ? 'yesterday' : `${days} days ago`})`;
+    }
+
+    saveBackupInterval() {
+        const settings = this.getBackupSettings();
+        settings.intervalDays = Math.max(0, parseInt(document.getElementById('backupInterval').value) || 0);
+        this.saveBackupSettings(settings);
+        this.renderBackupStatus();
+    }
+
+    async checkBackupDue() {
+        const settings = this.getBackupSettings();
+        const today = this.getLocalDateString(new Date());
+        const days = this.getDaysSinceBackup(settings);
+        
+        // Ask at most once a day, and only once there is something to back up
+        if (settings.intervalDays === 0 || settings.lastPrompt === today) return;
+        if (days !== null && days < settings.intervalDays) return;
+        if ((await this.getAllData()).length === 0) return;
+        
+        settings.lastPrompt = today;
+        this.saveBackupSettings(settings);
+        
+        const since = days === null ? 'You have not made an encrypted backup yet' : `Your last encrypted backup was ${days} days ago`;
+        if (confirm(`${since}. Open the Data tab to make one now?`)) {
+            this.switchTab('data');
+            document.getElementById('backupPassphrase').focus();
+        }
     }
 
     // ========================================================================
-    // WEEKLY REPORT
+    // WEARABLE IMPORT
     // ========================================================================
 
-    generateWeeklyReport() {
-        const data = this.getAllData().slice(-7);
-        
-        if (data.length === 0) {
-            document.getElementById('weeklyDebtTrend').textContent = 'No data';
-            return;
+    importWearable() {
+        document.getElementById('wearableFile').click();
+    }
+
+    async handleWearableFile(input) {
+        const files = [...input.files];
+        input.value = '';
+        if (files.length === 0) return;
+        
+        const nights = [];
+        const problems = [];
+        for (const file of files) {
+            try {
+                const parsed = this.parseWearableExport(await this.readFileText(file));
+                if (parsed.nights.length === 0) {
+                    problems.push(`${file.name}: no nights found in this ${parsed.format} export`);
+                }
+                nights.push(...parsed.nights);
+            } catch (err) {
+                problems.push(`${file.name}: ${err.message}`);
+            }
         }
         
-        // Sleep debt trend
-        const debtTrend = data.reduce((sum, e) => sum + e.sleepDebt, 0);
-        const avgDebt = debtTrend / data.length;
-        document.getElementById('weeklyDebtTrend').textContent = `${Math.round(avgDebt)}m`;
-        document.getElementById('weeklyDebtDetail').textContent = 
-            debtTrend > 0 ? 'Accumulating deficit' : 'Well rested';
+        if (problems.length > 0) alert(`Some files could not be read:\n${problems.join('\n')}`);
+        if (nights.length === 0) return;
         
-        // Social jetlag
-        const jetlag = this.calculateSocialJetlag();
-        document.getElementById('weeklySocialJetlag').textContent = `${jetlag}m`;
-        document.getElementById('weeklySocialJetlagDetail').textContent = 
-            jetlag > 90 ? 'High misalignment' : jetlag > 30 ? 'Moderate' : 'Good alignment';
+        nights.sort((a, b) => a.date.localeCompare(b.date));
+        this.pendingWearable = nights;
+        await this.renderWearableReview();
+    }
+
+    parseWearableExport(text) {
+        const trimmed = text.trim();
         
-        // Average quality
-        const avgQuality = data.reduce((sum, e) => sum + e.qualityScore, 0) / data.length;
-        document.getElementById('weeklyAvgQuality').textContent = Math.round(avgQuality);
-        document.getElementById('weeklyQualityDetail').textContent = 
-            avgQuality >= 80 ? 'Excellent' : avgQuality >= 60 ? 'Good' : avgQuality >= 40 ? 'Fair' : 'Poor';
+        if (trimmed.startsWith('<')) {
+            if (!trimmed.includes('HKCategoryTypeIdentifierSleepAnalysis')) {
+                throw new Error('XML file has no Apple Health sleep analysis records');
+            }
+            return { format: 'Apple Health', nights: this.parseAppleHealth(trimmed) };
+        }
         
-        // Consistency
-        const bedtimes = data.map(e => {
-            const [h, m] = e.bedtime.split(':').map(Number);
-            return h * 60 + m;
-        });
-        const avgBedtime = bedtimes.reduce((sum, t) => sum + t, 0) / bedtimes.length;
-        const variance = bedtimes.reduce((sum, t) => sum + Math.pow(t - avgBedtime, 2), 0) / bedtimes.length;
-        const stdDev = Math.sqrt(variance);
-        const consistency = Math.max(0, 100 - stdDev);
+        if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+            let data;
+            try {
+                data = JSON.parse(trimmed);
+            } catch {
+                throw new Error('not valid JSON');
+            }
+            return { format: 'Fitbit', nights: this.parseFitbit(data) };
+        }
         
-        document.getElementById('weeklyConsistency').textContent = Math.round(consistency);
-        document.getElementById('weeklyConsistencyDetail').textContent = 
-            stdDev < 30 ? 'Very consistent' : stdDev < 60 ? 'Moderate' : 'Inconsistent';
+        const rows = this.parseCsvRows(trimmed);
+        if (rows.length > 0 && rows[0][0] === 'Id' && rows[0].includes('From')) {
+            return { format: 'Sleep as Android', nights: this.parseSleepAsAndroid(rows) };
+        }
+        if (rows.length > 0 && rows[0].some(h => /^bedtime[ _]start$/i.test(h.trim()))) {
+            return { format: 'Oura', nights: this.parseOura(trimmed) };
+        }
         
-        // Violation frequency
-        const violationCount = {};
-        data.forEach(e => {
-            e.violations.forEach(v => {
-                const key = v.split(':')[0];
-                violationCount[key] = (violationCount[key] || 0) + 1;
+        throw new Error('not a recognised Apple Health, Fitbit, Oura or Sleep as Android export');
+    }
+
+    parseWallClock(value) {
+        // Exports record the local wall-clock time, sometimes followed by an
+        // offset; the app stores local times and keeps the offset as the zone
+        const iso = String(value).match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})/);
+        const offset = String(value).match(/\d ?(Z|[+-]\d{2}:?\d{2})$/);
+        const dotted = String(value).match(/^(\d{1,2})\. ?(\d{1,2})\. ?(\d{4}) (\d{1,2}):(\d{2})/);
+        const parts = iso ? iso.slice(1, 6) : dotted ? [dotted[3], dotted[2], dotted[1], dotted[4], dotted[5]] : null;
+        if (!parts) return null;
+        
+        const [year, month, day, hours, minutes] = parts.map(Number);
+        const pad = n => String(n).padStart(2, '0');
+        return {
+            date: `${year}-${pad(month)}-${pad(day)}`,
+            time: `${pad(hours)}:${pad(minutes)}`,
+            minutes: Date.UTC(year, month - 1, day, hours, minutes) / 60000,
+            zone: offset ? this.formatUtcOffset(this.parseUtcOffset(offset[1])).slice(3) : null
+        };
+    }
+
+    shiftWallClock(clock, minutes) {
+        const shifted = new Date((clock.minutes + minutes) * 60000).toISOString().slice(0, 16);
+        return { ...this.parseWallClock(shifted), zone: clock.zone };
+    }
+
+    makeWearableNight({ source, bedStart, bedEnd, sleepEnd, latency = null, awakenings = null, awakeMinutes = null, timeZone = null }) {
+        // Null marks a value the export doesn't provide; saving keeps the existing value
+        const end = sleepEnd || bedEnd;
+        return {
+            id: `${source}-${bedStart.minutes}`,
+            source,
+            date: end.date,
+            bedtime: bedStart.time,
+            waketime: end.time,
+            outOfBed: bedEnd && bedEnd.minutes > end.minutes ? bedEnd.time : null,
+            sleepLatency: latency === null ? null : Math.max(0, Math.round(latency)),
+            awakenings: awakenings === null ? null : Math.round(awakenings),
+            awakeMinutes: awakeMinutes === null ? null : Math.round(awakeMinutes),
+            timeZone: timeZone || end.zone
+        };
+    }
+
+    parseAppleHealth(xml) {
+        const bySource = new Map();
+        const records = xml.match(/<Record\b[^>]*HKCategoryTypeIdentifierSleepAnalysis[^>]*>/g) || [];
+        
+        records.forEach(tag => {
+            const attributes = Object.fromEntries([...tag.matchAll(/(\w+)="([^"]*)"/g)].map(m => [m[1], m[2]]));
+            const start = this.parseWallClock(attributes.startDate);
+            const end = this.parseWallClock(attributes.endDate);
+            if (!start || !end || end.minutes <= start.minutes) return;
+            
+            const source = attributes.sourceName || 'Apple Health';
+            if (!bySource.has(source)) bySource.set(source, []);
+            bySource.get(source).push({ start, end, value: attributes.value || '' });
+        });
+        
+        // Records less than 3 hours apart belong to the same night
+        const nights = [];
+        bySource.forEach((segments, source) => {
+            segments.sort((a, b) => a.start.minutes - b.start.minutes);
+            const sessions = [];
+            segments.forEach(segment => {
+                const current = sessions[sessions.length - 1];
+                if (current && segment.start.minutes - Math.max(...current.map(s => s.end.minutes)) < 180) {
+                    current.push(segment);
+                } else {
+                    sessions.push([segment]);
+                }
+            });
+            
+            sessions.forEach(session => {
+                const asleep = session.filter(s => s.value.includes('Asleep'));
+                const inBed = session.filter(s => s.value.endsWith('InBed'));
+                if (asleep.length === 0) return;
+                
+                const sleepStart = Math.min(...asleep.map(s => s.start.minutes));
+                const sleepEnd = asleep.reduce((latest, s) => s.end.minutes > latest.minutes ? s.end : latest, asleep[0].end);
+                if (sleepEnd.minutes - sleepStart < 180) return;
+                
+                const bedStart = session.reduce((earliest, s) => s.start.minutes < earliest.minutes ? s.start : earliest, session[0].start);
+                const bedEnd = session.reduce((latest, s) => s.end.minutes > latest.minutes ? s.end : latest, session[0].end);
+                
+                // Newer watches log Awake stages; older data only leaves gaps between asleep records
+                const awake = session.filter(s => s.value.endsWith('Awake') && s.start.minutes >= sleepStart && s.end.minutes <= sleepEnd.minutes);
+                const gaps = asleep.slice(1).map((s, i) => s.start.minutes - asleep[i].end.minutes).filter(gap => gap >= 5);
+                const periods = awake.length > 0 ? awake.map(s => s.end.minutes - s.start.minutes) : gaps;
+                
+                nights.push(this.makeWearableNight({
+                    source: `Apple Health (${source})`,
+                    bedStart,
+                    bedEnd,
+                    sleepEnd,
+                    latency: inBed.length > 0 ? sleepStart - bedStart.minutes : null,
+                    awakenings: periods.length,
+                    awakeMinutes: periods.reduce((sum, m) => sum + m, 0)
+                }));
             });
         });
         
-        const violationsDiv = document.getElementById('weeklyViolations');
-        if (Object.keys(violationCount).length > 0) {
-            violationsDiv.innerHTML = Object.entries(violationCount)
-                .sort((a, b) => b[1] - a[1])
-                .map(([key, count]) => `
-                    <div class="violation-freq-item">
-                        <span>${key}</span>
-                        <span>${count}x</span>
-                    </div>
-                `).join('');
-        } else {
-            violationsDiv.innerHTML = '<div style="color: var(--success)">No violations this week</div>';
+        return nights;
+    }
+
+    parseFitbit(data) {
+        // Takeout files are a list of sleep logs; the Web API wraps them in { sleep: [...] }
+        const logs = Array.isArray(data) ? data : data.sleep;
+        if (!Array.isArray(logs) || logs.some(log => !log || !log.startTime || !log.endTime)) {
+            throw new Error('JSON is not a Fitbit sleep export');
         }
         
-        // Adjustments
-        const adjustmentsDiv = document.getElementById('weeklyAdjustments');
-        const adjustments = [];
-        
-        if (debtTrend > 120) {
-            adjustments.push({
-                title: 'Sleep Debt Recovery',
-                text: 'Extend sleep window by 30-60 minutes for next 3 nights. Target bedtime 30min earlier.'
+        return logs.filter(log => log.mainSleep !== false).map(log => {
+            const bedStart = this.parseWallClock(log.startTime);
+            const bedEnd = this.parseWallClock(log.endTime);
+            const summary = (log.levels && log.levels.summary) || {};
+            const wake = summary.wake || summary.awake;
+            const night = this.makeWearableNight({
+                source: 'Fitbit',
+                bedStart,
+                bedEnd,
+                sleepEnd: this.shiftWallClock(bedEnd, -(log.minutesAfterWakeup || 0)),
+                latency: Number.isFinite(log.minutesToFallAsleep) ? log.minutesToFallAsleep : null,
+                awakenings: wake && Number.isFinite(wake.count) ? wake.count : null,
+                awakeMinutes: Number.isFinite(log.minutesAwake) ? log.minutesAwake : null
             });
-        }
-        
-        if (jetlag > 90) {
-            adjustments.push({
-                title: 'Social Jetlag Correction',
-                text: 'Weekend wake time must not exceed weekday average + 60 minutes. Set alarm.'
+            if (this.isValidDate(log.dateOfSleep)) night.date = log.dateOfSleep;
+            return night;
+        });
+    }
+
+    parseOura(text) {
+        const { headers, rows } = this.parseCsv(text);
+        const column = (...names) => headers.find(h => names.includes(h.trim().toLowerCase().replace(/[ _]+/g, ' ')));
+        const start = column('bedtime start');
+        const end = column('bedtime end');
+        const latency = column('sleep latency', 'latency');
+        const awake = column('awake time', 'awake duration');
+        const seconds = value => value === undefined || value === '' || !Number.isFinite(Number(value)) ? null : Number(value) / 60;
+        
+        return rows.map(row => {
+            const bedStart = this.parseWallClock(row[start]);
+            const bedEnd = this.parseWallClock(row[end]);
+            if (!bedStart || !bedEnd) return null;
+            
+            // Oura reports durations in seconds and has no awakening count
+            return this.makeWearableNight({
+                source: 'Oura',
+                bedStart,
+                bedEnd,
+                latency: latency ? seconds(row[latency]) : null,
+                awakeMinutes: awake ? seconds(row[awake]) : null
             });
-        }
+        }).filter(Boolean);
+    }
+
+    parseSleepAsAndroid(rows) {
+        // Each record is a header row starting with "Id" followed by its value row;
+        // event columns hold values like "AWAKE_START-1704150000000"
+        const nights = [];
+        let headers = null;
+        
+        rows.forEach(row => {
+            if (row[0] === 'Id') {
+                headers = row;
+                return;
+            }
+            if (!headers || !/^\d+$/.test(row[0])) return;
+            
+            const value = name => row[headers.indexOf(name)];
+            const bedStart = this.parseWallClock(value('From'));
+            const bedEnd = this.parseWallClock(value('To'));
+            if (!bedStart || !bedEnd) return;
+            
+            const events = row.filter((_cell, i) => headers[i] === 'Event')
+                .map(cell => cell.match(/^([A-Z_]+)-(\d+)/)).filter(Boolean)
+                .map(m => ({ type: m[1], at: Number(m[2]) / 60000 }));
+            const starts = events.filter(e => e.type === 'AWAKE_START');
+            const awakeMinutes = starts.reduce((sum, start) => {
+                const end = events.find(e => e.type === 'AWAKE_END' && e.at >= start.at);
+                return sum + (end ? end.at - start.at : 0);
+            }, 0);
+            
+            nights.push(this.makeWearableNight({
+                source: 'Sleep as Android',
+                bedStart,
+                bedEnd,
+                awakenings: starts.length,
+                awakeMinutes,
+                timeZone: value('Tz') || null
+            }));
+        });
         
-        if (violationCount['Caffeine remaining at bedtime'] >= 3) {
-            adjustments.push({
-                title: 'Caffeine Cutoff Enforcement',
-                text: 'No caffeine after 2:00 PM. Half-life model shows 100mg at 2PM = 25mg at 10PM.'
+        return nights;
+    }
+
+    async renderWearableReview() {
+        const existing = new Map((await this.getAllData()).map(e => [e.date, e]));
+        const container = document.getElementById('wearableReview');
+        const dates = new Map();
+        
+        // Several devices can report the same night; only the first is selected
+        container.innerHTML = this.pendingWearable.map((night, i) => {
+            const duplicate = dates.has(night.date);
+            dates.set(night.date, true);
+            const detail = [
+                `${night.bedtime} to ${night.waketime}`,
+                night.outOfBed ? `out of bed ${night.outOfBed}` : '',
+                night.sleepLatency !== null ? `latency ${night.sleepLatency}m` : '',
+                night.awakenings !== null ? `${night.awakenings} awakenings` : '',
+                night.awakeMinutes !== null ? `${night.awakeMinutes}m awake` : ''
+            ].filter(Boolean).join(', ');
+            
+            return `
+                <div class="entry-row wearable-row" data-index="${i}">
+                    <input type="checkbox" class="wearable-select"${duplicate ? '' : ' checked'}>
+                    <input type="date" class="wearable-date" value="${night.date}">
+                    <span class="wearable-detail">${detail}<span class="import-note">${this.escapeHTML(night.source)}</span></span>
+                    <span class="wearable-status"></span>
+                </div>
+            `;
+        }).join('');
+        
+        const updateStatus = () => {
+            const selected = new Map();
+            container.querySelectorAll('.wearable-row').forEach(row => {
+                const date = row.querySelector('.wearable-date').value;
+                const status = row.querySelector('.wearable-status');
+                const current = existing.get(date);
+                
+                if (row.querySelector('.wearable-select').checked && selected.has(date)) {
+                    status.textContent = 'Duplicate date';
+                } else if (current) {
+                    status.textContent = `Updates ${date} (${current.bedtime} to ${current.waketime})`;
+                } else {
+                    status.textContent = 'New night';
+                }
+                if (row.querySelector('.wearable-select').checked) selected.set(date, true);
             });
-        }
+        };
+        container.querySelectorAll('input').forEach(input => input.addEventListener('change', updateStatus));
+        updateStatus();
         
-        if (violationCount['Screen time within 1h'] >= 4) {
-            adjustments.push({
-                title: 'Screen Curfew',
-                text: 'Implement 2-hour screen cutoff. Use amber glasses if unavoidable. Blue light blocks melatonin.'
-            });
+        document.getElementById('wearablePanel').style.display = 'block';
+    }
+
+    async saveWearableNights() {
+        if (!this.pendingWearable) return;
+        
+        const rows = [...document.querySelectorAll('#wearableReview .wearable-row')]
+            .filter(row => row.querySelector('.wearable-select').checked);
+        const dates = rows.map(row => row.querySelector('.wearable-date').value);
+        
+        if (rows.length === 0) {
+            alert('Select at least one night to save');
+            return;
+        }
+        const duplicate = dates.find((date, i) => dates.indexOf(date) !== i);
+        if (duplicate) {
+            alert(`More than one night is selected for ${duplicate}`);
+            return;
         }
         
-        if (avgQuality < 60) {
-            adjustments.push({
-                title: 'System Override',
-                text: 'Quality below threshold. Enforce all hard rules for 7 days. No exceptions.'
+        let added = 0;
+        let updated = 0;
+        const failed = [];
+        for (const row of rows) {
+            const night = this.pendingWearable[Number(row.dataset.index)];
+            const date = row.querySelector('.wearable-date').value;
+            const current = await this.getEntryByDate(date);
+            
+            // Only sleep timing comes from the device; logged factors are kept
+            const entry = current || { ...this.getEmptyEntry(), date };
+            ['bedtime', 'waketime', 'outOfBed', 'sleepLatency', 'awakenings', 'awakeMinutes', 'timeZone'].forEach(field => {
+                if (night[field] !== null) entry[field] = night[field];
             });
+            
+            const { errors } = this.validateEntry(entry);
+            if (errors.length > 0) {
+                failed.push(`${date || 'No date'}: ${errors.map(issue => issue.message).join('; ')}`);
+                continue;
+            }
+            
+            this.scoreEntry(entry);
+            await this.saveEntry(entry);
+            if (current) updated++; else added++;
         }
         
-        if (adjustments.length > 0) {
-            adjustmentsDiv.innerHTML = adjustments.map(a => `
-                <div class="adjustment-item">
-                    <h4>${a.title}</h4>
-                    <p>${a.text}</p>
-                </div>
-            `).join('');
-        } else {
-            adjustmentsDiv.innerHTML = '<div style="color: var(--success)">System operating within parameters</div>';
-        }
+        this.cancelWearableImport();
+        await this.updateHeaderStats();
+        await this.updateDataSummary();
+        
+        alert(`Saved ${added} new and ${updated} updated nights` +
+              (failed.length > 0 ? `\n\nNot saved:\n${failed.join('\n')}` : ''));
+    }
+
+    cancelWearableImport() {
+        this.pendingWearable = null;
+        document.getElementById('wearableReview').innerHTML = '';
+        document.getElementById('wearablePanel').style.display = 'none';
     }
 
     // ========================================================================
-    // DATA EXPORT
+    // DATA IMPORT
     // ========================================================================
 
-    updateDataSummary() {
-        const data = this.getAllData();
-        const summary = {
-            totalEntries: data.length,
-            dateRange: data.length > 0 ? `${data[0].date} to ${data[data.length - 1].date}` : 'No data',
-            avgQualityScore: data.length > 0 ? 
-                Math.round(data.reduce((sum, e) => sum + e.qualityScore, 0) / data.length) : 0,
-            totalSleepDebt: this.getCumulativeSleepDebt()
-        };
-        
-        document.getElementById('dataSummary').textContent = JSON.stringify(summary, null, 2);
-    }
-
-    exportJSON() {
-        const data = this.getAllData();
-        const dataStr = JSON.stringify(data, null, 2);
-        const blob = new Blob([dataStr], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `sleep-system-data-${new Date().toISOString().split('T')[0]}.json`;
-        a.click();
-        
-        URL.revokeObjectURL(url);
+    importJSON() {
+        document.getElementById('importFile').click();
     }
 
-    exportWeeklyReport() {
-        const data = this.getAllData().slice(-7);
-        
-        if (data.length === 0) {
-            alert('No data to export');
+    handleImportFile(input) {
+        const files = [...input.files];
+        const file = files[0];
+        if (!file) return;
+        
+        if (files.some(f => /\.csv$/i.test(f.name) || f.type === 'text/csv')) {
+            input.value = '';
+            this.loadCsvFiles(files).catch(err => this.reportError(err));
             return;
         }
         
-        let report = 'SLEEP SYSTEM - WEEKLY REPORT\n';
-        report += '='.repeat(50) + '\n\n';
-        report += `Generated: ${new Date().toISOString()}\n`;
-        report += `Period: ${data[0].date} to ${data[data.length - 1].date}\n\n`;
+        const reader = new FileReader();
+        reader.onload = () => {
+            // Reset so choosing the same file again fires another change event
+            input.value = '';
+            
+            let records;
+            try {
+                records = JSON.parse(reader.result);
+            } catch {
+                alert(`Could not import ${file.name}: not valid JSON`);
+                return;
+            }
+            
+            if (!Array.isArray(records)) {
+                alert(`Could not import ${file.name}: expected a list of entries as written by "Download JSON Data"`);
+                return;
+            }
+            
+            this.cancelCsvImport();
+            this.pendingImport = this.parseImportRecords(records);
+            this.renderImportPreview().catch(err => this.reportError(err));
+        };
+        reader.readAsText(file);
+    }
+
+    parseImportRecords(records) {
+        const entries = [];
+        const invalid = [];
+        const warned = [];
+        const seenDates = new Set();
+        
+        records.forEach((raw, index) => {
+            const record = this.upgradeEntry(raw);
+            const result = this.validateEntry(record);
+            const errors = result.errors.map(issue => issue.message);
+            
+            if (errors.length === 0 && seenDates.has(record.date)) {
+                errors.push(`Duplicate date ${record.date} in file`);
+            }
+            
+            if (errors.length > 0) {
+                invalid.push({ index, date: record && record.date, errors });
+            } else {
+                seenDates.add(record.date);
+                entries.push(record);
+                if (result.warnings.length > 0) {
+                    warned.push({ date: record.date, warnings: result.warnings.map(issue => issue.message) });
+                }
+            }
+        });
         
-        // Summary stats
-        const avgQuality = data.reduce((sum, e) => sum + e.qualityScore, 0) / data.length;
-        const totalDebt = data.reduce((sum, e) => sum + e.sleepDebt, 0);
-        const jetlag = this.calculateSocialJetlag();
+        return { entries, invalid, warned };
+    }
+
+    getValueType(value) {
+        if (Array.isArray(value)) return 'array';
+        if (value === null) return 'null';
+        return typeof value;
+    }
+
+    isValidDate(value) {
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
         
-        report += 'SUMMARY\n';
-        report += '-'.repeat(50) + '\n';
-        report += `Average Quality Score: ${Math.round(avgQuality)}/100\n`;
-        report += `Total Sleep Debt: ${Math.floor(totalDebt/60)}h ${totalDebt%60}m\n`;
-        report += `Social Jetlag: ${jetlag} minutes\n\n`;
+        // Round-trip to reject dates like 2024-02-31
+        const parsed = new Date(value + 'T00:00:00Z');
+        return !isNaN(parsed) && parsed.toISOString().startsWith(value);
+    }
+
+    isValidTime(value) {
+        return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+    }
+
+    async buildImportPlan(mode) {
+        const incoming = this.pendingImport.entries;
+        const existing = new Map((await this.getAllData()).map(e => [e.date, e]));
+        const plan = { added: [], changed: [], skipped: [], removed: [] };
         
-        // Daily entries
-        report += 'DAILY ENTRIES\n';
-        report += '-'.repeat(50) + '\n';
-        data.forEach(entry => {
-            report += `\nDate: ${entry.date}\n`;
-            report += `  Sleep: ${entry.bedtime} - ${entry.waketime} (${Math.floor(entry.sleepDuration/60)}h ${entry.sleepDuration%60}m)\n`;
-            report += `  Quality Score: ${entry.qualityScore}/100\n`;
-            report += `  Sleep Debt: ${Math.floor(entry.sleepDebt/60)}h ${entry.sleepDebt%60}m\n`;
+        incoming.forEach(entry => {
+            const current = existing.get(entry.date);
             
-            if (entry.violations.length > 0) {
-                report += `  Violations:\n`;
-                entry.violations.forEach(v => report += `    - ${v}\n`);
+            if (!current) {
+                plan.added.push({ entry });
+            } else if (JSON.stringify(current) === JSON.stringify(entry)) {
+                plan.skipped.push({ entry, reason: 'identical' });
+            } else if (mode === 'merge-existing') {
+                plan.skipped.push({ entry, reason: 'kept existing' });
+            } else {
+                plan.changed.push({ entry, fields: this.getChangedFields(current, entry) });
             }
         });
         
-        // Violation summary
-        report += '\n\nVIOLATION FREQUENCY\n';
-        report += '-'.repeat(50) + '\n';
-        const violationCount = {};
-        data.forEach(e => {
-            e.violations.forEach(v => {
-                const key = v.split(':')[0];
-                violationCount[key] = (violationCount[key] || 0) + 1;
+        // Replace all drops every stored date the file doesn't contain
+        if (mode === 'replace') {
+            const incomingDates = new Set(incoming.map(e => e.date));
+            existing.forEach(entry => {
+                if (!incomingDates.has(entry.date)) {
+                    plan.removed.push({ entry });
+                }
             });
-        });
-        
-        if (Object.keys(violationCount).length > 0) {
-            Object.entries(violationCount)
-                .sort((a, b) => b[1] - a[1])
-                .forEach(([key, count]) => {
-                    report += `${key}: ${count}x\n`;
-                });
-        } else {
-            report += 'No violations\n';
         }
         
-        const blob = new Blob([report], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
+        return plan;
+    }
+
+    getChangedFields(before, after) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        return [...keys].filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+    }
+
+    async renderImportPreview() {
+        if (!this.pendingImport) return;
         
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `sleep-system-weekly-report-${new Date().toISOString().split('T')[0]}.txt`;
-        a.click();
+        const mode = document.getElementById('importMode').value;
+        const plan = await this.buildImportPlan(mode);
+        const { invalid, warned, settings } = this.pendingImport;
         
-        URL.revokeObjectURL(url);
+        const group = (title, items, describe) => items.length === 0 ? '' : `
+            <div class="import-group">
+                <h4>${title} (${items.length})</h4>
+                ${items.map(item => `<div class="import-item">${describe(item)}</div>`).join('')}
+            </div>
+        `;
+        
+        document.getElementById('importPreview').innerHTML =
+            group('Settings', settings ? [settings] : [], () =>
+                `Profile targets, rules and trips <span class="import-note">replace the current ones</span>`) +
+            group('Added', plan.added, ({ entry }) =>
+                `${entry.date} <span class="import-note">score ${entry.qualityScore}</span>`) +
+            group('Changed', plan.changed, ({ entry, fields }) =>
+                `${entry.date} <span class="import-note">${fields.join(', ')}</span>`) +
+            group('Skipped', plan.skipped, ({ entry, reason }) =>
+                `${entry.date} <span class="import-note">${reason}</span>`) +
+            group('Removed', plan.removed, ({ entry }) =>
+                `${entry.date} <span class="import-note">not in file</span>`) +
+            group('Imported with warnings', warned, ({ date, warnings }) =>
+                `${date} <span class="import-note">${warnings.map(w => this.escapeHTML(w)).join('; ')}</span>`) +
+            group('Invalid', invalid, ({ index, label, date, errors }) =>
+                `${label || `Record #${index + 1}`}${date ? ` (${this.escapeHTML(String(date))})` : ''}
+                 <span class="import-note">${errors.map(e => this.escapeHTML(e)).join('; ')}</span>`) ||
+            '<div class="import-item">Nothing to import</div>';
+        
+        document.getElementById('importPanel').style.display = 'block';
     }
 
-    resetSystem() {
-        if (!confirm('Are you sure? This will delete ALL sleep data. This cannot be undone.')) {
-            return;
-        }
+    async commitImport() {
+        if (!this.pendingImport) return;
         
-        if (!confirm('FINAL WARNING: All data will be permanently deleted.')) {
-            return;
+        const mode = document.getElementById('importMode').value;
+        const plan = await this.buildImportPlan(mode);
+        
+        // Imported copies build on the stored revision, or none for new dates
+        const existing = new Map((await this.getAllData()).map(e => [e.date, e]));
+        this.pendingImport.entries.forEach(entry => entry.revision = this.getBaseRevision(entry.date, existing.get(entry.date)));
+        const written = [...plan.added, ...plan.changed].map(({ entry }) => entry);
+        
+        if (mode === 'replace') {
+            if (plan.removed.length > 0 &&
+                !confirm(`Replace all data? ${plan.removed.length} stored entries not in the file will be moved to the trash.`)) {
+                return;
+            }
+            
+            await this.trashEntries(plan.removed.map(({ entry }) => entry), 'import');
+            this.markEntriesModified(written);
+            await this.store.replaceAll(this.pendingImport.entries);
+        } else {
+            this.markEntriesModified(written);
+            await this.store.putMany(written);
         }
+        await this.store.addHistory(written.map(entry => this.makeHistoryRecord('import', existing.get(entry.date) || null, entry)));
         
-        localStorage.removeItem('sleepSystemData');
-        location.reload();
+        const settings = this.pendingImport.settings;
+        if (settings) this.applyBackupSettings(settings);
+        
+        this.cancelImport();
+        await this.refreshAfterEntryChange();
+        
+        alert(`Import complete: ${plan.added.length} added, ${plan.changed.length} changed, ` +
+              `${plan.skipped.length} skipped, ${plan.removed.length} removed` + (settings ? ', settings restored' : ''));
+    }
+
+    cancelImport() {
+        this.cancelCsvImport();
+        this.pendingImport = null;
+        document.getElementById('importPreview').innerHTML = '';
+        document.getElementById('importPanel').style.display = 'none';
+    }
+
+    escapeHTML(text) {
+        return text.replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[c]);
     }
 }
 
@@ -0,0 +1,181 @@
+// ============================================================================
+// SLEEP SYSTEM - REFERENCE SYNC SERVER
+// ============================================================================
+//
+// A small self-hosted endpoint for the app's optional sync. Run it with Deno:
+//
+//     deno run --allow-net --allow-read --allow-write --allow-env server/sync-server.js
+//
+// Environment:
+//     SYNC_PORT   port to listen on (default 8787)
+//     SYNC_DATA   JSON file the entries are kept in (default ./sync-data.json)
+//     SYNC_TOKEN  when set, every request needs "Authorization: Bearer <token>"
+//
+// Every accepted write takes the next value of one server-wide revision
+// counter, so a client can ask for everything that changed after the last
+// revision it saw. Entries are keyed by profile name and date.
+//
+// GET /v1/profiles/:profile/entries?since=<revision>
+//     200 { revision, entries: [{ date, rev, modifiedAt, deleted, entry }] }
+//     Records written after <revision>, oldest first. revision is the
+//     counter's current value; pass it as since on the next request.
+//
+// PUT /v1/profiles/:profile/entries
+//     body { entries: [{ date, baseRev, modifiedAt, deleted, entry }] }
+//     200 { revision, accepted: [{ date, rev }], conflicts: [{ date, rev, modifiedAt, deleted, entry }] }
+//     A record is accepted when baseRev is the server's current rev for that
+//     date, or when the server has no record of the date (a client that
+//     synced elsewhere before may send any baseRev). Otherwise nothing is
+//     written for that date and the server's copy comes back as a conflict.
+//     A deleted record is kept as a tombstone with entry null.
+//
+// Errors are { error: message } with status 400, 401, 404, 405 or 500.
+
+const port = Number(Deno.env.get('SYNC_PORT') || 8787);
+const dataFile = Deno.env.get('SYNC_DATA') || './sync-data.json';
+const token = Deno.env.get('SYNC_TOKEN') || '';
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+async function loadData() {
+    // Profiles are keyed by a name from the URL, so they live in an object
+    // without a prototype: "__proto__" or "constructor" is just another name
+    try {
+        const stored = JSON.parse(await Deno.readTextFile(dataFile));
+        return { revision: stored.revision, profiles: Object.assign(Object.create(null), stored.profiles) };
+    } catch (err) {
+        if (err instanceof Deno.errors.NotFound) return { revision: 0, profiles: Object.create(null) };
+        throw err;
+    }
+}
+
+async function saveData(data) {
+    // Write a temporary file first so a crash never leaves half a file
+    await Deno.writeTextFile(`${dataFile}.tmp`, JSON.stringify(data));
+    await Deno.rename(`${dataFile}.tmp`, dataFile);
+}
+
+const data = await loadData();
+
+// Requests are handled one at a time so revisions never interleave
+let queue = Promise.resolve();
+function serialized(work) {
+    const result = queue.then(work);
+    queue = result.catch(() => null);
+    return result;
+}
+
+// ============================================================================
+// HANDLERS
+// ============================================================================
+
+// Thrown for a bad request; handle() turns it into an error response
+class RequestError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function getEntries(profile, since) {
+    const records = Object.values(Object.hasOwn(data.profiles, profile) ? data.profiles[profile] : {})
+        .filter(record => record.rev > since)
+        .sort((a, b) => a.rev - b.rev);
+    
+    return { revision: data.revision, entries: records };
+}
+
+async function putEntries(profile, body) {
+    if (!body || !Array.isArray(body.entries)) {
+        throw new RequestError(400, 'Body must be { entries: [...] }');
+    }
+    
+    // Check the whole batch before writing any of it
+    if (body.entries.some(incoming => !incoming || !/^\d{4}-\d{2}-\d{2}$/.test(incoming.date) || !Number.isInteger(incoming.baseRev))) {
+        throw new RequestError(400, 'Each entry needs a date (YYYY-MM-DD) and an integer baseRev');
+    }
+    
+    if (!Object.hasOwn(data.profiles, profile)) data.profiles[profile] = {};
+    const records = data.profiles[profile];
+    const accepted = [];
+    const conflicts = [];
+    
+    body.entries.forEach(incoming => {
+        const current = Object.hasOwn(records, incoming.date) ? records[incoming.date] : null;
+        if (current && current.rev !== incoming.baseRev) {
+            conflicts.push(current);
+            return;
+        }
+        
+        data.revision += 1;
+        records[incoming.date] = {
+            date: incoming.date,
+            rev: data.revision,
+            modifiedAt: incoming.modifiedAt || new Date().toISOString(),
+            deleted: Boolean(incoming.deleted),
+            entry: incoming.deleted ? null : incoming.entry
+        };
+        accepted.push({ date: incoming.date, rev: data.revision });
+    });
+    
+    if (accepted.length > 0) await saveData(data);
+    return { revision: data.revision, accepted, conflicts };
+}
+
+// ============================================================================
+// HTTP
+// ============================================================================
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type'
+};
+
+function json(status, body) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+}
+
+async function handle(request) {
+    if (request.method === 'OPTIONS') return new Response(null, { status: 204, headers: corsHeaders });
+    
+    try {
+        if (token && request.headers.get('Authorization') !== `Bearer ${token}`) {
+            throw new RequestError(401, 'Missing or wrong token');
+        }
+        
+        const url = new URL(request.url);
+        const match = url.pathname.match(/^\/v1\/profiles\/([^/]+)\/entries\/?$/);
+        if (!match) throw new RequestError(404, 'Not found');
+        const profile = decodeURIComponent(match[1]);
+        
+        if (request.method === 'GET') {
+            const since = Number(url.searchParams.get('since') || 0);
+            if (!Number.isInteger(since) || since < 0) throw new RequestError(400, 'since must be a revision number');
+            return json(200, getEntries(profile, since));
+        }
+        
+        if (request.method === 'PUT') {
+            let body;
+            try {
+                body = await request.json();
+            } catch {
+                throw new RequestError(400, 'Body is not valid JSON');
+            }
+            return json(200, await serialized(() => putEntries(profile, body)));
+        }
+        
+        throw new RequestError(405, 'Method not allowed');
+    } catch (err) {
+        if (err instanceof RequestError) return json(err.status, { error: err.message });
+        console.error(err);
+        return json(500, { error: 'Server error' });
+    }
+}
+
+Deno.serve({ port }, handle);
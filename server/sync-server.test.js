@@ -0,0 +1,85 @@
+// ============================================================================
+// SLEEP SYSTEM - REFERENCE SYNC SERVER TESTS
+// ============================================================================
+//
+// Starts the server on a spare port with an empty data file and replays the
+// requests the app makes. Run with Deno:
+//
+//     deno test --allow-net --allow-read --allow-write --allow-env --allow-run server/sync-server.test.js
+
+const port = 8900 + Math.floor(Math.random() * 100);
+const token = 'test-token';
+
+async function startServer() {
+    const dataDir = await Deno.makeTempDir();
+    const child = new Deno.Command(Deno.execPath(), {
+        args: ['run', '--allow-net', '--allow-read', '--allow-write', '--allow-env', new URL('./sync-server.js', import.meta.url).pathname],
+        env: { SYNC_PORT: String(port), SYNC_DATA: `${dataDir}/data.json`, SYNC_TOKEN: token },
+        stdout: 'null',
+        stderr: 'null'
+    }).spawn();
+    
+    // Wait until it answers
+    for (let attempt = 0; attempt < 50; attempt++) {
+        try {
+            await (await fetch(`http://localhost:${port}/v1/profiles/probe/entries`)).body?.cancel();
+            break;
+        } catch {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+    
+    return {
+        async stop() {
+            child.kill();
+            await child.status;
+            await Deno.remove(dataDir, { recursive: true });
+        }
+    };
+}
+
+async function request(method, profile, body = null, query = '') {
+    const response = await fetch(`http://localhost:${port}/v1/profiles/${encodeURIComponent(profile)}/entries${query}`, {
+        method,
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+function assertEquals(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`${message}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+const night = { date: '2026-10-05', bedtime: '23:00', waketime: '07:00' };
+
+Deno.test('delete, sync, undo, sync builds on the tombstone without a conflict', async () => {
+    const server = await startServer();
+    try {
+        // Logged and synced
+        const saved = await request('PUT', 'me', { entries: [{ date: night.date, baseRev: 0, deleted: false, entry: night }] });
+        const rev = saved.body.accepted[0].rev;
+        
+        // Deleted and synced: the tombstone's revision is what the app keeps
+        const deleted = await request('PUT', 'me', { entries: [{ date: night.date, baseRev: rev, deleted: true, entry: null }] });
+        assertEquals(deleted.body.conflicts, [], 'tombstone push');
+        const tombstone = deleted.body.accepted[0].rev;
+        
+        // The next pull sends the tombstone back; the app has already seen it
+        const pulled = await request('GET', 'me', null, `?since=${rev}`);
+        assertEquals(pulled.body.entries.map(r => [r.rev, r.deleted]), [[tombstone, true]], 'pulled tombstone');
+        
+        // Undo re-creates the date on top of the tombstone
+        const restored = await request('PUT', 'me', { entries: [{ date: night.date, baseRev: tombstone, deleted: false, entry: night }] });
+        assertEquals(restored.body.conflicts, [], 'undo push');
+        assertEquals(restored.body.accepted.map(a => a.date), [night.date], 'undo accepted');
+        
+        // Starting from revision 0 instead is the conflict the app avoids
+        const fresh = await request('PUT', 'me', { entries: [{ date: night.date, baseRev: 0, deleted: false, entry: night }] });
+        assertEquals(fresh.body.conflicts.map(c => c.rev), [restored.body.accepted[0].rev], 'baseRev 0 conflicts');
+    } finally {
+        await server.stop();
+    }
+});
@@ -0,0 +1,97 @@
+// ============================================================================
+// SLEEP SYSTEM - SERVICE WORKER
+// ============================================================================
+
+const CACHE_NAME = 'sleep-system-v1';
+const APP_SHELL = [
+    './',
+    'index.html',
+    'app.js',
+    'styles.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-maskable.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png',
+    'icons/apple-touch-icon.png'
+];
+
+self.addEventListener('install', (event) => {
+    // A new worker waits until the app accepts the update prompt
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL)));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+// App shell: serve from cache, refresh in the background, and tell open
+// windows when a shell file changed so they can offer a reload
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+    
+    // Only the shell is cached; anything else (such as a same-origin sync server) goes to the network
+    const shellPaths = APP_SHELL.map(path => new URL(path, self.registration.scope).pathname);
+    if (request.mode !== 'navigate' && !shellPaths.includes(url.pathname)) return;
+    
+    // Navigations (including ?tab=daily) all load the same page
+    const key = request.mode === 'navigate' ? './' : request;
+    
+    const cache = caches.open(CACHE_NAME);
+    const cached = cache.then(c => c.match(key, { ignoreSearch: true }));
+    const network = fetch(request);
+    
+    const refresh = network.then(response => {
+        if (!response.ok) return;
+        
+        const copy = response.clone();
+        return cache
+            .then(c => c.match(key, { ignoreSearch: true })
+                .then(previous => c.put(key, copy.clone())
+                    .then(() => previous ? Promise.all([previous.text(), copy.text()]) : null)))
+            .then(texts => {
+                if (texts && texts[0] !== texts[1]) return notifyClients({ type: 'update-available' });
+            });
+    }).catch(() => null);
+    
+    event.respondWith(cached.then(response => response || network));
+    event.waitUntil(refresh);
+});
+
+function notifyClients(message) {
+    return self.clients.matchAll({ type: 'window' })
+        .then(clients => clients.forEach(client => client.postMessage(message)));
+}
+
+// Reminder notifications: snooze or open the app
+self.addEventListener('notificationclick', (event) => {
+    const notification = event.notification;
+    const { id } = notification.data || {};
+    notification.close();
+    
+    event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+        // The worker is stopped when idle, so only the app's own timers can
+        // bring a snoozed reminder back: hand the snooze to it
+        if (event.action === 'snooze') {
+            if (clients.length > 0) {
+                clients.forEach(client => client.postMessage({ type: 'snooze-reminder', id }));
+                return;
+            }
+            return self.clients.openWindow(`./?tab=daily&snooze=${encodeURIComponent(id)}`);
+        }
+        
+        if (clients.length > 0) return clients[0].focus();
+        return self.clients.openWindow('./?tab=daily');
+    }));
+});